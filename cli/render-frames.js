@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+"use strict";
+
+/*
+ * Renders a numbered sequence of frames without a browser, e.g. to turn the background into a video.
+ *
+ * Usage:
+ *     node cli/render-frames.js --width 1920 --height 1080 --fps 30 --duration 10000 --format png --out frames
+ *     ffmpeg -framerate 30 -start_number 1 -i frames/frame-%05d.png -pix_fmt yuv420p loop.mp4
+ */
+
+import { parseArgs } from "node:util";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { renderFrames } from "../src/headless.js";
+
+const usage = `Usage: node cli/render-frames.js [options]
+
+Options:
+  --width <pixels>      Width of the frames (default 1920)
+  --height <pixels>     Height of the frames (default 1080)
+  --fps <number>        Frames per second (default 30)
+  --duration <ms>       Milliseconds of animation that are rendered (default 5000)
+  --format <svg|png>    Image format of the frames (default svg, png needs the "canvas" package)
+  --out <directory>     Directory the frames are written to (default frames)
+  --seed <integer>      Seed of the random number generator (random if omitted)
+  --mode <name>         Animation (e.g. twisting, sliding, perspective or morphing)
+  --morph-path <data>   SVG path data of the outline the morphing animation settles into
+  --palette <name>      Palette
+  --background <colour> CSS colour behind the curves (transparent if omitted)
+  --set <key=value>     Configuration value (repeatable, see configSchema)
+  --help                Show this help
+
+Frames are numbered from 1 (frame-00001.svg, frame-00002.svg, ...), e.g. for a video:
+  ffmpeg -framerate 30 -start_number 1 -i frames/frame-%05d.png -pix_fmt yuv420p loop.mp4`;
+
+/**
+ * Loads the optional node-canvas package, which is only needed for PNG frames.
+ * @returns {Promise<{createCanvas: (width: number, height: number) => any}>}
+ */
+async function loadCanvasPackage() {
+    try {
+        const module = await import("canvas");
+        return module.createCanvas ? module : module.default;
+    } catch {
+        throw new Error('PNG frames need the optional "canvas" package (npm install canvas), SVG frames work without it');
+    }
+}
+
+/**
+ * Parses a number option.
+ * @param {string} name Name of the option.
+ * @param {string} value Value given on the command line.
+ * @returns {number}
+ */
+function parseNumber(name, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            width: { type: "string", default: "1920" },
+            height: { type: "string", default: "1080" },
+            fps: { type: "string", default: "30" },
+            duration: { type: "string", default: "5000" },
+            format: { type: "string", default: "svg" },
+            out: { type: "string", default: "frames" },
+            seed: { type: "string" },
+            mode: { type: "string" },
+            palette: { type: "string" },
+            background: { type: "string" },
+            "morph-path": { type: "string" },
+            set: { type: "string", multiple: true, default: [] },
+            help: { type: "boolean", default: false },
+        },
+    });
+    if (values.help) {
+        console.log(usage);
+        return;
+    }
+
+    const width = Math.round(parseNumber("width", values.width));
+    const height = Math.round(parseNumber("height", values.height));
+    const fps = parseNumber("fps", values.fps);
+    const duration = parseNumber("duration", values.duration);
+    const seed = values.seed === undefined ? undefined : parseNumber("seed", values.seed);
+    const consts = {};
+    for (const assignment of values.set) {
+        const separator = assignment.indexOf("=");
+        if (separator < 0) {
+            throw new Error(`--set expects key=value, got "${assignment}"`);
+        }
+        consts[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    }
+
+    let createContext;
+    let encode;
+    if (values.format === "svg") {
+        encode = ctx => ctx.toSvg({ background: values.background });
+    } else if (values.format === "png") {
+        // One canvas is reused for all frames, the animations clear it before drawing
+        const { createCanvas } = await loadCanvasPackage();
+        const context = createCanvas(width, height).getContext("2d");
+        createContext = () => context;
+        encode = ctx => {
+            if (values.background !== undefined) {
+                ctx.save();
+                ctx.globalCompositeOperation = "destination-over";
+                ctx.fillStyle = values.background;
+                ctx.fillRect(0, 0, width, height);
+                ctx.restore();
+            }
+            return ctx.canvas.toBuffer("image/png");
+        };
+    } else {
+        throw new Error(`--format has to be svg or png, got "${values.format}"`);
+    }
+
+    await mkdir(values.out, { recursive: true });
+    const count = Math.max(Math.round(duration / 1000 * fps), 1);
+    const digits = Math.max(String(count).length, 5);
+    const usedSeed = await renderFrames({
+        width, height, fps, duration, seed, mode: values.mode, palette: values.palette, consts, createContext,
+        morphTarget: values["morph-path"],
+    }, async (ctx, index) => {
+        const fileName = `frame-${String(index + 1).padStart(digits, "0")}.${values.format}`;
+        await writeFile(join(values.out, fileName), encode(ctx));
+    });
+    console.log(`Rendered ${count} frames to ${values.out} (seed ${usedSeed})`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
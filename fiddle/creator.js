@@ -0,0 +1,46 @@
+"use strict";
+
+export class Creator {
+    /**
+     * @param {HTMLElement} element Wrapped element.
+     */
+    constructor(element) { this.element = element; }
+
+    append(child) {
+        this.element.appendChild(child.element);
+        return this;
+    }
+
+    /**
+     * @param {string} content Text content of the element.
+     */
+    text(content) {
+        this.element.textContent = content;
+        return this;
+    }
+
+    /**
+     * @param {string} name Name of the attribute.
+     * @param {string} value Value of the attribute.
+     */
+    attr(name, value) {
+        this.element.setAttribute(name, value);
+        return this;
+    }
+
+    /**
+     * @param {string} type Event type.
+     * @param {EventListener} listener Event listener.
+     */
+    on(type, listener) {
+        this.element.addEventListener(type, listener);
+        return this;
+    }
+}
+
+/**
+ * @param {string} nodeName Name of the element.
+ */
+export function create(nodeName) {
+    return new Creator(document.createElement(nodeName));
+}
@@ -1,57 +1,338 @@
 "use strict";
 
-class Creator {
-    /**
-     * @param {HTMLElement} element Wrapped element.
-     */
-    constructor(element) { this.element = element; }
-
-    append(child) {
-        this.element.appendChild(child.element);
-        return this;
-    }
-}
-
-/**
- * @param {string} nodeName Name of the element.
- */
-function create(nodeName) {
-    return new Creator(document.createElement(nodeName));
-}
+import {
+    BezierCurves, configSchema, readUrlState, syncUrlState, loadStoredPalettes, animationModes,
+    exportSvg, exportPng, exportAnimatedSvg, createAudioMapping, AudioReactor,
+} from "../script.js";
+import { Creator, create } from "./creator.js";
+import { createPaletteEditor } from "./palette-editor.js";
 
 window.addEventListener("load", function onWindowLoad() {
+    const options = readUrlState();
+    options.customPalettes = new Map([...loadStoredPalettes(), ...(options.customPalettes || [])]);
+    options.keyboard = true;
+    const background = new BezierCurves(document.getElementById("canvas"), options);
+    background.start();
+    const config = background.config;
+
     const table = new Creator(document.getElementById("sliders-table"));
 
-    function addSlider(text, initValue, min, max, step, onChange) {
+    /**
+     * Adds a slider for the given configuration field. Range and default are taken from the schema,
+     * unless a mapping between slider and configuration values is given.
+     * @param {string} text Label of the slider.
+     * @param {string} key Name of the configuration field.
+     * @param {number} step Step size of the slider.
+     * @param {{min: number, max: number, toConfig: (x: number) => number, fromConfig: (x: number) => number}} [mapping]
+     *     Range of the slider and conversions between slider and configuration values.
+     */
+    function addSlider(text, key, step, mapping) {
+        const field = configSchema[key];
+        const min = mapping ? mapping.min : field.min;
+        const max = mapping ? mapping.max : field.max;
+        const toConfig = mapping ? mapping.toConfig : x => x;
+        const fromConfig = mapping ? mapping.fromConfig : x => x;
+        const sliderValue = value => mapping ? (Math.round(fromConfig(value) / step) * step).toString() : value.toString();
         const label = create("label");
         label.element.textContent = text;
         const valueDisplay = create("th");
-        valueDisplay.element.textContent = initValue.toString();
-        const field = create("input");
-        field.element.setAttribute("type", "range");
-        field.element.setAttribute("min", min.toString());
-        field.element.setAttribute("max", max.toString());
-        field.element.setAttribute("step", step.toString());
-        field.element.setAttribute("value", initValue.toString());
-        field.element.addEventListener("change", () => {
-            valueDisplay.element.textContent = field.element.value.toString();
-            onChange(field.element.value)
+        valueDisplay.element.textContent = sliderValue(config.get(key));
+        const input = create("input");
+        input.element.setAttribute("type", "range");
+        input.element.setAttribute("min", min.toString());
+        input.element.setAttribute("max", max.toString());
+        input.element.setAttribute("step", step.toString());
+        input.element.setAttribute("value", sliderValue(config.get(key)));
+        input.element.addEventListener("change", () => config.set(key, toConfig(Number(input.element.value))));
+        config.on("change", event => {
+            if (event.key !== key) { return; }
+            valueDisplay.element.textContent = sliderValue(event.value);
+            input.element.value = sliderValue(event.value);
         });
         table.append(create("tr")
             .append(create("th").append(label))
             .append(valueDisplay)
-            .append(create("td").append(field)));
+            .append(create("td").append(input)));
+    }
+
+    /**
+     * Adds a drop-down for the given enum configuration field. Options are taken from the schema.
+     * @param {string} text Label of the drop-down.
+     * @param {string} key Name of the configuration field.
+     */
+    function addSelect(text, key) {
+        const select = create("select");
+        for (const value of configSchema[key].values) {
+            select.append(create("option").text(value).attr("value", value));
+        }
+        select.element.value = config.get(key);
+        select.on("change", () => config.set(key, select.element.value));
+        config.on("change", event => {
+            if (event.key === key) { select.element.value = event.value; }
+        });
+        table.append(create("tr")
+            .append(create("th").append(create("label").text(text)))
+            .append(create("th"))
+            .append(create("td").append(select)));
+    }
+
+    // Animation mode with optional rotation through all animations
+    const modeSelect = create("select");
+    for (const mode of animationModes) {
+        modeSelect.append(create("option").text(mode).attr("value", mode));
+    }
+    modeSelect.element.value = background.mode;
+    modeSelect.on("change", () => background.setAnimation(modeSelect.element.value));
+    background.on("modechange", event => { modeSelect.element.value = event.mode; });
+    const playlistInput = create("input").attr("type", "checkbox");
+    playlistInput.element.checked = background.playlist !== null;
+    playlistInput.on("change", () => background.setPlaylist(playlistInput.element.checked ? animationModes : null));
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Animation")))
+        .append(create("th").append(create("label").text("Rotate ").append(playlistInput)))
+        .append(create("td").append(modeSelect)));
+
+    addSlider("Curve Count", "maxCurves", 1);
+    addSlider("Curve Vertical Distance", "verticalSlideSpeed", 0.001);
+    addSlider("[Speed] Curve Creation Intervall (ms)", "newCurveMs", 1);
+    addSlider("[Speed] Curve Animation", "curveAnimationSpeed", 0.001);
+    addSlider("Curve Crazyness", "maxSegmentPerPoint", 0.01);
+    // Render quality is inversely proportional to the flatness tolerance
+    addSlider("Render Quality", "flatnessTolerance", 1, {
+        min: 1, max: 400,
+        toConfig: quality => 20 / quality,
+        fromConfig: tolerance => 20 / tolerance,
+    });
+    addSlider("Vertical Compression (% of height)", "verticalCompression", 0.01);
+    addSelect("Layout", "layout");
+    addSlider("Anchor X (% of width)", "anchorX", 0.01);
+    addSlider("Anchor Y (% of height)", "anchorY", 0.01);
+    addSelect("Slide Direction", "slideDirection");
+    addSlider("Radial Radius", "radialRadius", 0.01);
+    addSlider("Curve Control Points", "n", 1);
+    addSelect("Curve Type", "curveType");
+    addSelect("Point Motion", "motionModel");
+    addSelect("Pointer Interaction", "pointerMode");
+    addSlider("Pointer Radius (px)", "pointerRadius", 1);
+    addSlider("Pointer Strength", "pointerStrength", 0.01);
+    addSelect("Hover Highlight", "hoverHighlight");
+    addSlider("Pick Tolerance (px)", "pickTolerance", 1);
+    addSelect("Colour Interpolation", "colourSpace");
+    addSelect("Colour Gradient", "gradientMode");
+    addSelect("Reduced Motion", "reducedMotion");
+    addSlider("Max FPS (0 = unlimited)", "maxFps", 1);
+    addSelect("Palette Transition", "paletteTransition");
+    addSlider("Palette Transition (ms)", "paletteTransitionMs", 10);
+    addSlider("Palette Cycle (ms, 0 = off)", "paletteCycleMs", 1000);
+    addSlider("[3D] Camera Yaw (°)", "cameraYaw", 1);
+    addSlider("[3D] Camera Pitch (°)", "cameraPitch", 1);
+    addSlider("[3D] Camera Spin (°/s)", "cameraSpin", 1);
+    addSlider("[3D] Camera Distance", "cameraDistance", 0.1);
+    addSlider("[3D] Depth Spread", "depthSpread", 0.01);
+    addSlider("[3D] Depth Fog", "depthFog", 0.01);
+    addSlider("[Morph] Wander (ms)", "morphWanderMs", 100);
+    addSlider("[Morph] Transition (ms)", "morphTransitionMs", 100);
+    addSlider("[Morph] Hold (ms)", "morphHoldMs", 100);
+    addSlider("[Morph] Size", "morphScale", 0.01);
+
+    // Outline of the morphing animation from text or SVG path data
+    const morphKind = create("select")
+        .append(create("option").text("Text").attr("value", "text"))
+        .append(create("option").text("SVG Path").attr("value", "path"));
+    const morphInput = create("input").attr("type", "text").attr("value", "Hello");
+    const morphButton = create("button").text("Apply");
+    const morphStatus = create("span");
+    morphButton.on("click", () => {
+        const value = morphInput.element.value;
+        try {
+            background.setMorphTarget(morphKind.element.value === "text" ? { text: value } : value);
+            morphStatus.text("");
+        } catch (error) {
+            morphStatus.text(error.message);
+        }
+    });
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("[Morph] Target")))
+        .append(create("th").append(morphKind))
+        .append(create("td").append(morphInput).append(morphButton).append(morphStatus)));
+    addSelect("Render Style", "renderStyle");
+    addSlider("Ribbon Opacity", "ribbonOpacity", 0.01);
+    addSlider("Line Width (px)", "lineWidth", 0.5);
+    addSlider("Line Width Variation", "lineWidthVariation", 0.01);
+    addSelect("Line Dash", "lineDash");
+    addSlider("Glow (px)", "glow", 1);
+    addSelect("Blend Mode", "blendMode");
+
+    // Editor overlay with control polygons, pinnable points and the de Casteljau construction
+    const overlayInput = create("input").attr("type", "checkbox");
+    const constructionSelect = create("select");
+    for (const value of ["off", "fixed", "sweep"]) {
+        constructionSelect.append(create("option").text(value).attr("value", value));
+    }
+    const constructionInput = create("input")
+        .attr("type", "range").attr("min", "0").attr("max", "1").attr("step", "0.01").attr("value", "0.5");
+    const releaseButton = create("button").text("Release pinned points");
+    function updateOverlay() {
+        if (overlayInput.element.checked !== (background.overlay !== null)) {
+            background.setOverlay(overlayInput.element.checked);
+        }
+        if (background.overlay !== null) {
+            const construction = constructionSelect.element.value;
+            background.overlay.construction = construction === "fixed" ? Number(constructionInput.element.value) : null;
+            background.overlay.sweep = construction === "sweep";
+        }
+    }
+    overlayInput.on("change", updateOverlay);
+    constructionSelect.on("change", updateOverlay);
+    constructionInput.on("input", updateOverlay);
+    releaseButton.on("click", () => {
+        if (background.overlay !== null) { background.overlay.releaseAll(); }
+    });
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Editor Overlay")))
+        .append(create("th").append(overlayInput))
+        .append(create("td").append(releaseButton)));
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("de Casteljau Construction")))
+        .append(create("th").append(constructionSelect))
+        .append(create("td").append(constructionInput)));
+
+    // Playback controls (also available as keyboard shortcuts)
+    const pauseButton = create("button");
+    const rateLabel = create("span");
+    function updatePlayback() {
+        pauseButton.text(background.paused ? "Resume" : "Pause");
+        rateLabel.text(`${background.playbackRate}x (space, arrows, +/-, m)`);
     }
+    pauseButton.on("click", () => background.togglePause());
+    background.on("clockchange", updatePlayback);
+    updatePlayback();
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Playback")))
+        .append(create("th").append(pauseButton))
+        .append(create("td").append(rateLabel)));
 
-    addSlider("Curve Count", consts.maxCurves, 0, 1000, 1, value => consts.maxCurves = value);
-    addSlider("Curve Vertical Distance", consts.verticalSlideSpeed, 0, 0.5, 0.001, value => consts.verticalSlideSpeed = value);
-    addSlider("[Speed] Curve Creation Intervall (ms)", consts.newCurveMs, 1, 5000, 1, value => consts.newCurveMs = value);
-    addSlider("[Speed] Curve Animation", consts.curveAnimationSpeed, 0, 0.2, 0.001, value => {
-        consts.curveAnimationSpeed = value;
-        consts.squaredCurveAnimationSpeed = value * value;
+    // Export of the current frame or a recorded stretch of the animation
+    const canvas = background.canvas;
+    const exportWidth = create("input").attr("type", "number").attr("min", "1").attr("value", canvas.width.toString());
+    const exportHeight = create("input").attr("type", "number").attr("min", "1").attr("value", canvas.height.toString());
+    const recordDuration = create("input").attr("type", "number").attr("min", "100").attr("step", "100").attr("value", "3000");
+    const exportStatus = create("span");
+    function getExportOptions() {
+        return {
+            width: Math.max(Math.round(Number(exportWidth.element.value)), 1) || canvas.width,
+            height: Math.max(Math.round(Number(exportHeight.element.value)), 1) || canvas.height,
+            // The canvas is transparent, the page colour is set on the body
+            backgroundColour: getComputedStyle(document.body).backgroundColor,
+        };
+    }
+    function download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = create("a").attr("href", url).attr("download", fileName);
+        link.element.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    const svgButton = create("button").text("SVG").on("click", () => {
+        download(new Blob([exportSvg(background, getExportOptions())], { type: "image/svg+xml" }), "bezier-curves.svg");
+    });
+    const pngButton = create("button").text("PNG").on("click", async () => {
+        exportStatus.text("");
+        try {
+            download(await exportPng(background, getExportOptions()), "bezier-curves.png");
+        } catch (error) {
+            exportStatus.text(error.message);
+        }
+    });
+    const animatedSvgButton = create("button").text("Animated SVG").on("click", () => {
+        const duration = Math.max(Number(recordDuration.element.value), 100) || 3000;
+        const svg = exportAnimatedSvg(background, { ...getExportOptions(), duration });
+        download(new Blob([svg], { type: "image/svg+xml" }), "bezier-curves-animated.svg");
     });
-    addSlider("Curve Crazyness", consts.maxSegmentPerPoint, 0, 1, 0.01, value => consts.maxSegmentPerPoint = value);
-    addSlider("Render Quality", consts.numberOfSegments, 1, 300, 1, value => consts.numberOfSegments = value);
-    addSlider("Vertical Compression (% of height)", consts.verticalCompression, 0, 1, 0.01, value => consts.verticalCompression = value);
-    addSlider("Curve Control Points", n, 1, 20, 1, value => recalculateCache(value));
-});
\ No newline at end of file
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Export Size")))
+        .append(create("th").append(exportWidth))
+        .append(create("td").append(exportHeight)));
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Export")))
+        .append(create("th").append(svgButton).append(pngButton))
+        .append(create("td").append(animatedSvgButton).append(recordDuration).append(exportStatus)));
+
+    // Audio input from a file or the microphone, whose frequency bands drive the curves
+    const audioMapping = createAudioMapping();
+    const audioElement = create("audio").attr("controls", "");
+    const audioFileInput = create("input").attr("type", "file").attr("accept", "audio/*");
+    const microphoneButton = create("button").text("Microphone");
+    const audioOffButton = create("button").text("Off");
+    const audioStatus = create("span");
+    let microphone = null;
+    function setAudioInput(input) {
+        if (microphone !== null && input !== microphone) {
+            microphone.getTracks().forEach(track => track.stop());
+            microphone = null;
+        }
+        background.setAudioInput(input, { mapping: audioMapping });
+        audioStatus.text("");
+    }
+    audioFileInput.on("change", () => {
+        const file = audioFileInput.element.files[0];
+        if (file === undefined) { return; }
+        URL.revokeObjectURL(audioElement.element.src);
+        audioElement.element.src = URL.createObjectURL(file);
+        setAudioInput(audioElement.element);
+        audioElement.element.play();
+    });
+    microphoneButton.on("click", async () => {
+        try {
+            microphone = await navigator.mediaDevices.getUserMedia({ audio: true });
+            setAudioInput(microphone);
+        } catch (error) {
+            audioStatus.text(error.message);
+        }
+    });
+    audioOffButton.on("click", () => {
+        audioElement.element.pause();
+        setAudioInput(null);
+    });
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Audio")))
+        .append(create("th").append(microphoneButton).append(audioOffButton))
+        .append(create("td").append(audioFileInput).append(audioElement).append(audioStatus)));
+    for (const [key, text] of [["amplitude", "Bass → Swing"], ["slideSpeed", "Mids → Spacing"], ["spawnRate", "Highs → Spawning"]]) {
+        const gainInput = create("input").attr("type", "range").attr("min", "0").attr("max", "4").attr("step", "0.1")
+            .attr("value", audioMapping[key].gain.toString());
+        const gainDisplay = create("th").text(audioMapping[key].gain.toString());
+        gainInput.on("input", () => {
+            audioMapping[key].gain = Number(gainInput.element.value);
+            gainDisplay.text(gainInput.element.value);
+            // The mapping of a running analysis changes immediately, analysed tracks were mapped ahead
+            if (background.audio instanceof AudioReactor) {
+                background.audio.mapping[key].gain = audioMapping[key].gain;
+            }
+        });
+        table.append(create("tr")
+            .append(create("th").append(create("label").text(`[Audio] ${text}`)))
+            .append(gainDisplay)
+            .append(create("td").append(gainInput)));
+    }
+
+    // Last clicked curve
+    const clickedCurve = create("span").text("Click a curve");
+    background.on("curveclick", event => {
+        clickedCurve.text(`Curve ${event.index} at t = ${event.t.toFixed(3)} (${event.colour.toCSS()})`);
+        clickedCurve.element.style.color = event.colour.toCSS();
+    });
+    table.append(create("tr")
+        .append(create("th").append(create("label").text("Clicked Curve")))
+        .append(create("th"))
+        .append(create("td").append(clickedCurve)));
+
+    // Link which reproduces the current look
+    const shareLink = create("a");
+    shareLink.element.textContent = "Link to this look";
+    table.append(create("tr")
+        .append(create("th"))
+        .append(create("td").append(shareLink)));
+    syncUrlState(background, link => shareLink.element.setAttribute("href", link));
+
+    createPaletteEditor(background, new Creator(document.getElementById("palette-editor")));
+});
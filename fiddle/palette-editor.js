@@ -0,0 +1,173 @@
+"use strict";
+
+import { parseColour, isBuiltInPalette, loadPalettes, palettesToJSON, storePalettes } from "../script.js";
+import { create } from "./creator.js";
+
+/**
+ * Creates the palette editor panel, which allows adding, reordering and recolouring the stops
+ * of custom palettes. Custom palettes are persisted in the local storage.
+ * @param {import("../script.js").BezierCurves} background Instance whose palettes are edited.
+ * @param {import("./creator.js").Creator} panel Element the editor is added to.
+ */
+export function createPaletteEditor(background, panel) {
+    /**
+     * Stops of the edited palette.
+     * @type {import("../script.js").Colour[]}
+     */
+    let stops = [];
+
+    const paletteSelect = create("select");
+    const nameField = create("input").attr("type", "text");
+    const stopList = create("ol");
+    const message = create("p").attr("class", "message");
+    const importField = create("input").attr("type", "file").attr("accept", ".json,application/json");
+    const exportLink = create("a").text("Export custom palettes").attr("download", "palettes.json");
+
+    /**
+     * Refreshes the export link with the current custom palettes.
+     */
+    function updateExportLink() {
+        const custom = new Map(Array.from(background.colourMap).filter(([name]) => !isBuiltInPalette(name)));
+        const json = JSON.stringify(palettesToJSON(custom), null, 4);
+        exportLink.attr("href", `data:application/json;charset=utf-8,${encodeURIComponent(json)}`);
+    }
+
+    /**
+     * Persists all custom palettes and refreshes the export link.
+     */
+    function persist() {
+        storePalettes(background.colourMap);
+        updateExportLink();
+    }
+
+    /**
+     * Applies the edited stops to the canvas. Built-in palettes are never overwritten.
+     */
+    function apply() {
+        const name = nameField.element.value.trim();
+        if (name === "" || isBuiltInPalette(name)) {
+            message.text("Choose a new name to save this palette.");
+            return;
+        }
+        message.text("");
+        background.setPalette(name, stops.slice());
+        background.selectPaletteByName(name);
+        persist();
+    }
+
+    function renderStops() {
+        stopList.element.replaceChildren();
+        stops.forEach((colour, index) => {
+            const picker = create("input").attr("type", "color").attr("value", colour.toHex());
+            const textField = create("input").attr("type", "text").attr("size", "18").attr("value", colour.toHex());
+            // Dragging only updates the preview, the palette is applied once the picker is closed
+            picker.on("input", () => {
+                textField.element.value = picker.element.value;
+            });
+            picker.on("change", () => {
+                stops[index] = parseColour(picker.element.value);
+                textField.element.value = picker.element.value;
+                apply();
+            });
+            textField.on("change", () => {
+                try {
+                    stops[index] = parseColour(textField.element.value);
+                    picker.element.value = stops[index].toHex();
+                    apply();
+                } catch (e) {
+                    message.text(e.message);
+                }
+            });
+            function move(offset) {
+                const target = index + offset;
+                if (target < 0 || target >= stops.length) { return; }
+                [stops[index], stops[target]] = [stops[target], stops[index]];
+                renderStops();
+                apply();
+            }
+            function remove() {
+                if (stops.length <= 1) { return; }
+                stops.splice(index, 1);
+                renderStops();
+                apply();
+            }
+            stopList.append(create("li")
+                .append(picker)
+                .append(textField)
+                .append(create("button").text("↑").attr("title", "Move up").on("click", () => move(-1)))
+                .append(create("button").text("↓").attr("title", "Move down").on("click", () => move(1)))
+                .append(create("button").text("✕").attr("title", "Remove").on("click", remove)));
+        });
+    }
+
+    /**
+     * Loads the given palette into the editor. Built-in palettes are loaded as a copy.
+     * @param {string} name Name of the palette.
+     */
+    function edit(name) {
+        stops = background.colourMap.get(name).slice();
+        nameField.element.value = isBuiltInPalette(name) ? `${name} copy` : name;
+        message.text("");
+        renderStops();
+    }
+
+    function renderPaletteSelect() {
+        paletteSelect.element.replaceChildren();
+        for (const name of background.colourIndices) {
+            const option = create("option").text(name).attr("value", name);
+            if (name === background.paletteName) { option.attr("selected", ""); }
+            paletteSelect.append(option);
+        }
+    }
+
+    paletteSelect.on("change", () => {
+        background.selectPaletteByName(paletteSelect.element.value);
+    });
+    nameField.on("change", apply);
+    importField.on("change", async () => {
+        try {
+            for (const file of importField.element.files) {
+                for (const [name, colours] of await loadPalettes(file)) {
+                    background.setPalette(isBuiltInPalette(name) ? `${name} copy` : name, colours);
+                }
+            }
+            persist();
+            message.text("Palettes imported.");
+        } catch (e) {
+            message.text(e.message);
+        }
+    });
+    const deleteButton = create("button").text("Delete palette").on("click", () => {
+        const name = nameField.element.value.trim();
+        if (isBuiltInPalette(name) || !background.colourMap.has(name)) { return; }
+        background.removePalette(name);
+        persist();
+    });
+    const addButton = create("button").text("Add stop").on("click", () => {
+        stops.push(stops.length > 0 ? stops[stops.length - 1] : parseColour("#ffffff"));
+        renderStops();
+        apply();
+    });
+
+    background.on("palettechange", event => {
+        paletteSelect.element.value = event.name;
+        if (event.name !== nameField.element.value.trim()) {
+            // Another palette was selected (not the one currently being edited)
+            edit(event.name);
+        }
+    });
+    background.on("palettelistchange", renderPaletteSelect);
+
+    panel
+        .append(create("h2").text("Palette"))
+        .append(paletteSelect)
+        .append(create("label").text("Name ").append(nameField))
+        .append(stopList)
+        .append(create("p").append(addButton).append(deleteButton))
+        .append(create("label").text("Import JSON ").append(importField))
+        .append(create("p").append(exportLink))
+        .append(message);
+    renderPaletteSelect();
+    edit(background.paletteName);
+    updateExportLink();
+}
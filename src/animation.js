@@ -0,0 +1,1184 @@
+"use strict";
+
+import {
+    flattenCurve, strokePolyline, strokePolylineInChunks, fillBand, animateCurve, createRandomCurve, nearestOnPolyline,
+} from "./curve.js";
+import { samplePalette } from "./colour.js";
+import { evaluateCurve } from "./bases.js";
+import { Point, AnimatedPoint } from "./point.js";
+import { PointerField } from "./pointer.js";
+import { splitOutline, createCurveFitter } from "./shape.js";
+import { interpolate } from "./maths.js";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ * @typedef {import("./colour.js").Colour} Colour
+ */
+
+/**
+ * Curve of a stack that is drawn by `Animation.drawStack`.
+ * @typedef {object} StackLayer
+ * @property {number} index Index of the curve in the `curves` of the animation.
+ * @property {Point[]} curve Control points of the curve.
+ * @property {Float64Array | Float32Array} polyline Flattened curve in layout space (flat animations) or canvas coordinates.
+ * @property {number} offsetY Offset of the curve in the stack in layout space.
+ * @property {(x: number, y: number) => number[]} toCanvas Maps a point of the curve to canvas coordinates.
+ * @property {Colour} colour Colour of the curve.
+ * @property {number} alpha Opacity of the curve.
+ * @property {number} [depth] Distance to the viewer (curves with a depth are drawn from back to front).
+ */
+
+/**
+ * Samples per pass from which the curve parameter of a picked point is found.
+ */
+const pickSamples = 64;
+
+/**
+ * Line width factor of a highlighted curve.
+ */
+const highlightWidth = 2.5;
+
+/**
+ * Blur in pixels of the glow around a highlighted curve.
+ */
+const highlightGlow = 12;
+
+export class Animation {
+    /**
+     * @param {BezierCurves} owner Instance that owns the configuration and palette of this animation.
+     */
+    constructor(owner) {
+        this.owner = owner;
+
+        /**
+         * Cached canvas gradient of the "horizontal" gradient mode and the inputs it was created from.
+         */
+        this.horizontalGradient = { gradient: null, ctx: null, width: 0, colours: null, space: "" };
+
+        /**
+         * Whether the curves are drawn on the canvas through `getCurveSpace`, so that pointers
+         * and the editor overlay can locate their control points.
+         */
+        this.flat = true;
+
+        /**
+         * Curves of the frame that was last drawn in the size of the canvas of the owning instance.
+         * Picking searches them, so it finds the curves as they are shown.
+         * @type {{width: number, height: number, layers: StackLayer[]} | null}
+         */
+        this.shownLayers = null;
+    }
+
+    /**
+     * Initialise animation.
+     */
+    init() { throw "abstract method stub"; }
+
+    /**
+     * Update animation state.
+     * @param {number} timestamp Time at which the function was called.
+     * @param {number} timespan Milliseconds since the last update.
+     */
+    update(timestamp, timespan) { throw "abstract method stub"; }
+
+    /**
+     * Draw animation objects.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {number} timestamp Time at which the function was called.
+     */
+    draw(ctx, timestamp) { throw "abstract method stub"; }
+
+    /**
+     * Rebuild state that was derived from the given configuration value.
+     * Changes of the curve dimension `n` always reinitialise the animation instead.
+     * @param {string} key Name of the changed configuration field.
+     * @param {number} value New value.
+     * @param {number} previous Previous value.
+     */
+    onConfigChanged(key, value, previous) { }
+
+    /**
+     * Curves whose control points are animated (the other curves are derived from them).
+     * Animations without animated control points return an empty array.
+     * @returns {{curve: AnimatedPoint[], offsetY: number}[]} Curves and their offset in the stack
+     *     relative to the lowest curve in layout space.
+     */
+    getKeyCurves() { return []; }
+
+    /**
+     * Curves of the stack at the given time, as they are drawn by `drawStack`.
+     * Animations that are not drawn as a stack return an empty array, so their curves cannot be picked.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {StackLayer[]}
+     */
+    getLayers(width, height, timestamp) { return []; }
+
+    /**
+     * Finds the curve that is shown closest to the given position on the canvas of the owning instance.
+     * Of curves at the same distance, the one drawn last (on top) is found.
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @param {number} tolerance Distance in pixels beside the stroke within which a curve is still found.
+     * @returns {{layer: StackLayer, distance: number} | null} Curve and its distance, or null if no curve is close enough.
+     */
+    pickLayer(x, y, tolerance) {
+        const { width, height } = this.owner.canvas;
+        const shown = this.shownLayers;
+        const layers = shown !== null && shown.width === width && shown.height === height ?
+            shown.layers : this.getLayers(width, height, this.owner.vars.lastFrame);
+        const frame = this.flat ? this.getLayoutFrame(width, height) : null;
+        let closest = null;
+        let closestDistance = tolerance + 0.5 * this.owner.consts.lineWidth;
+        for (const layer of layers) {
+            const polyline = frame !== null ? frame.project(layer.polyline, layer.offsetY) : layer.polyline;
+            const { distance } = nearestOnPolyline(polyline, x, y);
+            if (distance <= closestDistance) {
+                closest = layer;
+                closestDistance = distance;
+            }
+        }
+        return closest !== null ? { layer: closest, distance: closestDistance } : null;
+    }
+
+    /**
+     * Finds the curve that is shown at the given position and the point on it (see `pickLayer`).
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @param {number} tolerance Distance in pixels beside the stroke within which a curve is still found.
+     * @returns {{index: number, t: number, colour: Colour, distance: number} | null} Index of the curve in the `curves`
+     *     of the animation (the main curve of the sliding animation comes after them), curve parameter of the closest
+     *     point, colour and distance of the curve, or null if no curve is close enough.
+     */
+    pick(x, y, tolerance) {
+        const picked = this.pickLayer(x, y, tolerance);
+        if (picked === null) {
+            return null;
+        }
+        const { layer, distance } = picked;
+        return { index: layer.index, t: this.findParameter(layer, x, y), colour: layer.colour, distance };
+    }
+
+    /**
+     * Finds the curve parameter of the point of the given curve that is closest to the given canvas position.
+     * @param {StackLayer} layer Curve of the stack.
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @returns {number} Curve parameter in [0, 1] range.
+     */
+    findParameter(layer, x, y) {
+        const samples = new Float64Array(2 * (pickSamples + 1));
+        let from = 0;
+        let to = 1;
+        let t = 0;
+        // The second pass samples the neighbourhood of the first result more densely
+        for (let pass = 0; pass < 2; ++pass) {
+            const step = (to - from) / pickSamples;
+            for (let i = 0; i <= pickSamples; ++i) {
+                const point = evaluateCurve(layer.curve, from + i * step, this.owner.basis);
+                [samples[2 * i], samples[2 * i + 1]] = layer.toCanvas(point.x, point.y);
+            }
+            const { segment, fraction } = nearestOnPolyline(samples, x, y);
+            t = from + (segment + fraction) * step;
+            from = Math.max(t - step, 0);
+            to = Math.min(t + step, 1);
+        }
+        return t;
+    }
+
+    /**
+     * Colour of a curve, which follows a running palette transition.
+     * @param {(colours: Colour[]) => Colour} pick Picks the colour of the curve from a palette.
+     * @param {number} position Place of the curve in the stack from the lowest (0) to the highest curve (1).
+     * @returns {Colour}
+     */
+    getCurveColour(pick, position) {
+        const blend = this.owner.getPaletteBlend(position);
+        if (blend === null) {
+            return pick(this.owner.colours);
+        }
+        return pick(blend.from).interpolate(pick(blend.to), blend.factor, this.owner.consts.colourSpace);
+    }
+
+    /**
+     * Placement of the curve stack with the configured layout on a canvas of the given size.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @returns {import("./layout.js").LayoutFrame}
+     */
+    getLayoutFrame(width, height) {
+        const frame = this.owner.layout.createFrame(this.owner.consts, width, height);
+        // An external input (e.g. audio) spreads or squeezes the stack
+        frame.step *= this.owner.modulation.slideSpeed;
+        return frame;
+    }
+
+    /**
+     * Mapping from the [0, 1] range of a curve to the canvas of the owning instance.
+     * @param {number} offsetY Offset of the curve in the stack relative to the lowest curve in layout space.
+     * @returns {import("./layout.js").CurveSpace}
+     */
+    getCurveSpace(offsetY) {
+        const frame = this.getLayoutFrame(this.owner.canvas.width, this.owner.canvas.height);
+        // Flat curves (no vertical compression) keep their y coordinate
+        const scaleY = frame.scaleY || 1;
+        return {
+            toCanvas: (x, y) => frame.toCanvas(x * frame.scaleX, y * frame.scaleY + offsetY),
+            fromCanvas: (x, y) => {
+                const [layoutX, layoutY] = frame.fromCanvas(x, y);
+                return [layoutX / frame.scaleX, (layoutY - offsetY) / scaleY];
+            },
+        };
+    }
+
+    /**
+     * Animates the given curve with the configured motion model and lets the pointers displace it
+     * (if the animation is flat).
+     * @param {AnimatedPoint[]} curve Curve to be animated.
+     * @param {number} timespan Milliseconds since the last update.
+     * @param {number} offsetY Offset of the curve in the stack relative to the lowest curve in layout space.
+     */
+    updateCurve(curve, timespan, offsetY) {
+        const { consts, random, motion, pointer } = this.owner;
+        PointerField.removeDisplacement(curve);
+        animateCurve(curve, timespan, consts, random, motion, this.owner.modulation.amplitude);
+        if (this.flat) {
+            pointer.displace(curve, this.getCurveSpace(offsetY), timespan, consts);
+        }
+    }
+
+    /**
+     * Creates (or reuses) a gradient which spreads the current palette across the horizontal axis.
+     * Intermediate stops are sampled, because canvas gradients always interpolate in sRGB.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {number} [width] Width the gradient spreads over (the length of the curves in rotated layouts).
+     * @returns {CanvasGradient}
+     */
+    getHorizontalGradient(ctx, width = ctx.canvas.width) {
+        const cache = this.horizontalGradient;
+        const colours = this.owner.colours;
+        const space = this.owner.consts.colourSpace;
+        // Gradients belong to the context they were created with (e.g. the canvas or an export)
+        if (cache.gradient === null || cache.ctx !== ctx || cache.width !== width ||
+            cache.colours !== colours || cache.space !== space) {
+            const gradient = ctx.createLinearGradient(0, 0, width, 0);
+            const stops = 8 * Math.max(colours.length - 1, 1);
+            for (let i = 0; i <= stops; ++i) {
+                gradient.addColorStop(i / stops, samplePalette(colours, i / stops, space).toCSS());
+            }
+            cache.gradient = gradient;
+            cache.ctx = ctx;
+            cache.width = width;
+            cache.colours = colours;
+            cache.space = space;
+        }
+        return cache.gradient;
+    }
+
+    /**
+     * Sets line width, dash pattern and line caps of the configured stroke style.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     */
+    applyStrokeStyle(ctx) {
+        const consts = this.owner.consts;
+        const width = consts.lineWidth;
+        ctx.lineWidth = width;
+        ctx.lineCap = consts.lineDash === "dotted" || consts.lineWidthVariation > 0 ? "round" : "butt";
+        if (consts.lineDash === "dashed") {
+            ctx.setLineDash([4 * width, 3 * width]);
+        } else if (consts.lineDash === "dotted") {
+            ctx.setLineDash([0.01, 2.5 * width]);
+        } else {
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Strokes the given polyline according to the configured gradient mode and stroke style.
+     * The "bands" and "stack" modes use the given colour, the "along" and "horizontal"
+     * modes spread the whole palette along the curve or across the canvas.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {Float64Array | Float32Array} polyline Interleaved x and y coordinates.
+     * @param {Colour} colour Colour of the curve.
+     * @param {number} [alpha] Opacity of the curve.
+     * @param {number} [gradientWidth] Width the "horizontal" gradient spreads over.
+     */
+    drawPolyline(ctx, polyline, colour, alpha = 1, gradientWidth = ctx.canvas.width) {
+        const consts = this.owner.consts;
+        if (consts.glow > 0) {
+            ctx.shadowBlur = consts.glow;
+            ctx.shadowColor = colour.toCSSWithA(alpha);
+        }
+        // Variable width tapers the curve towards both ends
+        const variation = consts.lineWidthVariation;
+        const widthAt = position => consts.lineWidth * (1 - variation * (1 - Math.sin(Math.PI * position)));
+        if (consts.gradientMode === "along") {
+            const colours = this.owner.colours;
+            strokePolylineInChunks(ctx, polyline, position => {
+                ctx.strokeStyle = samplePalette(colours, position, consts.colourSpace).toCSSWithA(alpha);
+                if (variation > 0) {
+                    ctx.lineWidth = widthAt(position);
+                }
+            });
+        } else {
+            if (consts.gradientMode === "horizontal") {
+                ctx.strokeStyle = this.getHorizontalGradient(ctx, gradientWidth);
+                ctx.globalAlpha = alpha;
+            } else {
+                ctx.strokeStyle = alpha === 1 ? colour.toCSS() : colour.toCSSWithA(alpha);
+            }
+            if (variation > 0) {
+                strokePolylineInChunks(ctx, polyline, position => { ctx.lineWidth = widthAt(position); });
+            } else {
+                strokePolyline(ctx, polyline);
+            }
+            ctx.globalAlpha = 1;
+        }
+        if (consts.glow > 0) {
+            ctx.shadowBlur = 0;
+        }
+    }
+
+    /**
+     * Draws a stack of curves from top to bottom according to the configured render style:
+     * strokes the curves, fills the ribbons between neighbouring curves or both.
+     * Flat animations give the polylines in layout space, which is mapped to the canvas with the configured layout.
+     * Layers with a depth are already in canvas coordinates and are drawn from back to front (painter's algorithm).
+     * The curve under the mouse is highlighted on top of the stack (see the `hoverHighlight` configuration).
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {StackLayer[]} layers Curves of the stack.
+     */
+    drawStack(ctx, layers) {
+        const consts = this.owner.consts;
+        const { width, height } = ctx.canvas;
+        if (width === this.owner.canvas.width && height === this.owner.canvas.height) {
+            this.shownLayers = { width, height, layers };
+        }
+        ctx.save();
+        let gradientWidth = width;
+        if (this.flat) {
+            const frame = this.getLayoutFrame(width, height);
+            if (frame.affine) {
+                frame.apply(ctx);
+                gradientWidth = frame.scaleX;
+            } else {
+                layers = layers.map(layer => ({ ...layer, polyline: frame.project(layer.polyline, layer.offsetY), offsetY: 0 }));
+            }
+        }
+
+        // Ribbons take the colour of the curve above them
+        const gradient = consts.gradientMode === "along" || consts.gradientMode === "horizontal";
+        const fillRibbon = i => {
+            const upper = layers[i];
+            const lower = layers[i + 1];
+            ctx.fillStyle = gradient ? this.getHorizontalGradient(ctx, gradientWidth) : upper.colour.toCSS();
+            ctx.globalAlpha = consts.ribbonOpacity * upper.alpha;
+            fillBand(ctx, upper.polyline, upper.offsetY, lower.polyline, lower.offsetY);
+            ctx.globalAlpha = 1;
+        };
+        const strokeLayer = layer => {
+            ctx.save();
+            ctx.translate(0, layer.offsetY);
+            this.drawPolyline(ctx, layer.polyline, layer.colour, layer.alpha, gradientWidth);
+            ctx.restore();
+        };
+
+        ctx.globalCompositeOperation = consts.blendMode;
+        this.applyStrokeStyle(ctx);
+        const ribbons = consts.renderStyle !== "stroke";
+        const strokes = consts.renderStyle !== "ribbon";
+        if (layers.length > 0 && layers[0].depth !== undefined) {
+            const items = [];
+            for (let i = 0; ribbons && i + 1 < layers.length; ++i) {
+                items.push({ depth: 0.5 * (layers[i].depth + layers[i + 1].depth), draw: () => fillRibbon(i) });
+            }
+            for (const layer of strokes ? layers : []) {
+                items.push({ depth: layer.depth, draw: () => strokeLayer(layer) });
+            }
+            items.sort((a, b) => b.depth - a.depth);
+            items.forEach(item => item.draw());
+        } else {
+            for (let i = 0; ribbons && i + 1 < layers.length; ++i) {
+                fillRibbon(i);
+            }
+            for (const layer of strokes ? layers : []) {
+                strokeLayer(layer);
+            }
+        }
+        const hovered = this.owner.animation === this ? this.owner.hoveredCurve : null;
+        if (hovered !== null && consts.hoverHighlight !== "off") {
+            const highlighted = layers.find(layer => layer.index === hovered.index);
+            if (highlighted !== undefined) {
+                this.drawHighlight(ctx, highlighted);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Strokes the given curve once more on top of the stack to highlight it.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {StackLayer} layer Highlighted curve.
+     */
+    drawHighlight(ctx, layer) {
+        const consts = this.owner.consts;
+        const colour = layer.colour.toCSS();
+        ctx.save();
+        ctx.translate(0, layer.offsetY);
+        ctx.globalCompositeOperation = "source-over";
+        ctx.setLineDash([]);
+        ctx.lineCap = "round";
+        ctx.strokeStyle = colour;
+        if (consts.hoverHighlight === "glow") {
+            ctx.lineWidth = consts.lineWidth;
+            ctx.shadowBlur = highlightGlow;
+            ctx.shadowColor = colour;
+        } else {
+            ctx.lineWidth = highlightWidth * consts.lineWidth;
+        }
+        strokePolyline(ctx, layer.polyline);
+        ctx.restore();
+    }
+
+    /**
+     * Strokes the given curve according to the configured gradient mode (see `drawPolyline`).
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {Point[]} curve Curve to be rendered.
+     * @param {(x: number) => number} transformX Function used to transfrom [0, 1] range to x coordinate.
+     * @param {(y: number) => number} transformY Function used to transfrom [0, 1] range to y coordinate.
+     * @param {Colour} colour Colour of the curve.
+     * @param {number} [alpha] Opacity of the curve.
+     */
+    drawCurve(ctx, curve, transformX, transformY, colour, alpha = 1) {
+        const polyline = flattenCurve(curve, transformX, transformY, this.owner.consts.flatnessTolerance, this.owner.basis);
+        this.drawPolyline(ctx, polyline, colour, alpha);
+    }
+
+    /**
+     * Serialise the full animation state.
+     * @returns {object} JSON compatible state.
+     */
+    toJSON() { throw "abstract method stub"; }
+
+    /**
+     * Restore a state previously created by `toJSON`.
+     * @param {object} json Serialised state.
+     */
+    restore(json) { throw "abstract method stub"; }
+}
+
+/**
+ * Sliding animation which animates a single curve and slides duplicates of it upwards.
+ */
+export class SlidingAnimation extends Animation {
+    /**
+     * @param {BezierCurves} owner Instance that owns the configuration and palette of this animation.
+     */
+    constructor(owner) {
+        super(owner);
+        /**
+         * Non-animated curves that are sliding upwards.
+         * @type {Point[][]}
+         */
+        this.curves = [];
+
+        /**
+         * Animated curve that stays at the botton.
+         * @type {AnimatedPoint[]}
+         */
+        this.mainCurve = [];
+
+        /**
+         * Timestamp at which the previous curve was spawned in milliseconds.
+         */
+        this.lastNewCurve = -owner.consts.newCurveMs;  // Make sure a curve is spawned.
+
+        /**
+         * Flattened polylines of the non-animated curves in [0, 1] range. A curve is flattened once
+         * when it is spawned, the polyline is scaled to the canvas at draw time.
+         * @type {WeakMap<Point[], Float32Array>}
+         */
+        this.flattenedCurves = new WeakMap();
+    }
+
+    /**
+     * Flattens the given non-animated curve in [0, 1] range and caches its polyline.
+     * The tolerance is converted with the scale of the canvas at this time, so a curve that is
+     * kept across a resize or a quality change stays slightly coarser or finer until it slides out.
+     * @param {Point[]} curve Non-animated curve.
+     * @returns {Float32Array}
+     */
+    flattenSlidingCurve(curve) {
+        const frame = this.getLayoutFrame(this.owner.canvas.width, this.owner.canvas.height);
+        const scale = Math.max(Math.abs(frame.scaleX), Math.abs(frame.scaleY), 1);
+        const polyline = Float32Array.from(flattenCurve(curve, x => x, y => y,
+            this.owner.consts.flatnessTolerance / scale, this.owner.basis));
+        this.flattenedCurves.set(curve, polyline);
+        return polyline;
+    }
+
+    /**
+     * Returns the cached polyline of the given non-animated curve in [0, 1] range.
+     * @param {Point[]} curve Non-animated curve.
+     * @returns {Float32Array}
+     */
+    getFlattenedCurve(curve) {
+        return this.flattenedCurves.get(curve) ?? this.flattenSlidingCurve(curve);
+    }
+
+    /**
+     * The main curve is the only animated curve, the sliding curves are copies of it.
+     * @returns {{curve: AnimatedPoint[], offsetY: number}[]}
+     */
+    getKeyCurves() {
+        return [{ curve: this.mainCurve, offsetY: 0 }];
+    }
+
+    /**
+     * Initialise animation.
+     */
+    init() {
+        this.curves = [];
+        this.mainCurve = createRandomCurve(this.owner.n, this.owner.random, this.owner.layout.overshoot);
+    }
+
+    /**
+     * Update animation state.
+     * @param {number} timestamp Time at which the function was called.
+     * @param {number} timespan Milliseconds since the last update.
+     */
+    update(timestamp, timespan) {
+        const consts = this.owner.consts;
+
+        // Animate main curve
+        this.updateCurve(this.mainCurve, timespan, 0);
+
+        // A faster spawn rate moves the previous spawn back in time, so the curves keep sliding smoothly
+        this.lastNewCurve -= timespan * (this.owner.modulation.spawnRate - 1);
+
+        // Create new curves
+        if (timestamp - this.lastNewCurve >= consts.newCurveMs) {
+            this.lastNewCurve = timestamp;
+            const curve = this.mainCurve.map(x => x.toPoint());
+            this.flattenSlidingCurve(curve);
+            this.curves.push(curve);
+        }
+
+        // Remove curves until maximum is reached
+        while (this.curves.length > consts.maxCurves) {
+            this.curves.splice(0, 1);
+        }
+    }
+
+    /**
+     * Serialise the full animation state.
+     * @returns {object} JSON compatible state.
+     */
+    toJSON() {
+        return {
+            curves: this.curves.map(curve => curve.map(point => point.toJSON())),
+            mainCurve: this.mainCurve.map(point => point.toJSON()),
+            lastNewCurve: this.lastNewCurve,
+        };
+    }
+
+    /**
+     * Restore a state previously created by `toJSON`.
+     * @param {object} json Serialised state.
+     */
+    restore(json) {
+        this.curves = json.curves.map(curve => curve.map(Point.fromJSON));
+        this.curves.forEach(curve => this.flattenSlidingCurve(curve));
+        this.mainCurve = json.mainCurve.map(AnimatedPoint.fromJSON);
+        this.lastNewCurve = json.lastNewCurve;
+    }
+
+    /**
+     * The polylines depend on the curve type and on the layout their tolerance was scaled for.
+     * @param {string} key Name of the changed configuration field.
+     * @param {number} value New value.
+     * @param {number} previous Previous value.
+     */
+    onConfigChanged(key, value, previous) {
+        if (key === "curveType" || key === "layout") {
+            this.curves.forEach(curve => this.flattenSlidingCurve(curve));
+        }
+    }
+
+    /**
+     * The sliding curves from the oldest (top) one down, followed by the main curve.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {StackLayer[]}
+     */
+    getLayers(width, height, timestamp) {
+        const consts = this.owner.consts;
+
+        // Render all curves in layout space
+        const frame = this.getLayoutFrame(width, height);
+        const factorX = frame.scaleX;
+        const factorY = frame.scaleY;
+        let yTransform = 0;
+
+        const yPerCurve = frame.step;
+        const slideFactor = (timestamp - this.lastNewCurve) / consts.newCurveMs;
+        yTransform += yPerCurve * (this.curves.length - 1) + yPerCurve * slideFactor;
+        // Cached polylines only need to be scaled and moved to the position of the curve
+        const layers = [];
+        for (let i = 0; i < this.curves.length; ++i) {
+            // Determine colour of curve
+            const colour = this.getCurveColour(colours => {
+                if (consts.gradientMode === "stack") {
+                    return samplePalette(colours, (i + 1 - slideFactor) / consts.maxCurves, consts.colourSpace);
+                }
+                const colourIndex = Math.floor(colours.length * (Math.max(i - 1, 0) / consts.maxCurves));
+                const nextColourIndex = Math.floor(colours.length * (i / consts.maxCurves));
+                if (i == 0 || colourIndex === nextColourIndex) {
+                    return colours[colourIndex];
+                }
+                // Interpolate correct colour for curve
+                return colours[nextColourIndex].interpolate(colours[colourIndex], slideFactor, consts.colourSpace);
+            }, 1 - i / this.curves.length);
+            const curve = this.curves[i];
+            const unitPolyline = this.getFlattenedCurve(curve);
+            const polyline = new Float32Array(unitPolyline.length);
+            for (let k = 0; k < polyline.length; k += 2) {
+                polyline[k] = unitPolyline[k] * factorX;
+                polyline[k + 1] = unitPolyline[k + 1] * factorY;
+            }
+            // Fade out top line
+            const alpha = i == 0 ? 1 - slideFactor : 1;
+            const offsetY = yTransform;
+            const toCanvas = (x, y) => frame.toCanvas(x * factorX, y * factorY + offsetY);
+            layers.push({ index: i, curve, polyline, offsetY, toCanvas, colour, alpha });
+            yTransform -= yPerCurve;
+        }
+
+        // Render main curve
+        layers.push({
+            index: this.curves.length,
+            curve: this.mainCurve,
+            polyline: flattenCurve(this.mainCurve, x => x * factorX, y => y * factorY, consts.flatnessTolerance, this.owner.basis),
+            offsetY: 0,
+            toCanvas: (x, y) => frame.toCanvas(x * factorX, y * factorY),
+            colour: this.getCurveColour(colours => colours[colours.length - 1], 0),
+            alpha: 1,
+        });
+        return layers;
+    }
+
+    /**
+     * Draw animation objects.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {number} timestamp Time at which the function was called.
+     */
+    draw(ctx, timestamp) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        this.drawStack(ctx, this.getLayers(ctx.canvas.width, ctx.canvas.height, timestamp));
+    }
+}
+
+/**
+ * Twisting animation which animates multiple curves and interpolates the curves between them.
+ */
+export class TwistingAnimation extends Animation {
+    /**
+     * @param {BezierCurves} owner Instance that owns the configuration and palette of this animation.
+     */
+    constructor(owner) {
+        super(owner);
+        /**
+         * Curves that are being animated and interpolated between each other.
+         * @type {AnimatedPoint[][]}
+         */
+        this.curves = [];
+
+        this.twistingCurves = 6;  // >= 2
+
+        /**
+         * Positions of the twisting curves.
+         * @type {number[]}
+         */
+        this.twistingCurveIndices = this.calculateTwistingCurveIndices(owner.consts.maxCurves);
+    }
+
+    /**
+     * Determine positions of the twisting curves.
+     * Small stacks have fewer twisting curves, every curve is animated at most once.
+     * @param {number} maxCurves Amount of curves present at once.
+     * @returns {number[]} Distinct indices in ascending order.
+     */
+    calculateTwistingCurveIndices(maxCurves) {
+        const twistingCurveIndices = [0];
+        const distance = (maxCurves - 2) / (this.twistingCurves - 1);
+        let curveIndex = 0;
+        for (let i = 1; i < this.twistingCurves - 1; ++i) {
+            curveIndex += distance;
+            twistingCurveIndices.push(Math.floor(curveIndex));
+        }
+        twistingCurveIndices.push(maxCurves - 1);
+        return Array.from(new Set(twistingCurveIndices));
+    }
+
+    /**
+     * Initialise animation.
+     */
+    init() {
+        const curves = [];
+        for (let i = 0; i < this.owner.consts.maxCurves; ++i) {
+            curves.push(createRandomCurve(this.owner.n, this.owner.random, this.owner.layout.overshoot));
+        }
+        this.curves = curves;
+    }
+
+    /**
+     * Serialise the full animation state.
+     * @returns {object} JSON compatible state.
+     */
+    toJSON() {
+        return {
+            curves: this.curves.map(curve => curve.map(point => point.toJSON())),
+        };
+    }
+
+    /**
+     * Restore a state previously created by `toJSON`.
+     * @param {object} json Serialised state.
+     */
+    restore(json) {
+        this.curves = json.curves.map(curve => curve.map(AnimatedPoint.fromJSON));
+        this.twistingCurveIndices = this.calculateTwistingCurveIndices(this.curves.length);
+    }
+
+    /**
+     * Rebuild the twisting curve positions and the curve array if the amount of curves changed.
+     * The twisting curves keep their shape and only move to their new positions.
+     * @param {string} key Name of the changed configuration field.
+     * @param {number} value New value.
+     * @param {number} previous Previous value.
+     */
+    onConfigChanged(key, value, previous) {
+        if (key !== "maxCurves") {
+            return;
+        }
+        const previousIndices = this.twistingCurveIndices;
+        this.twistingCurveIndices = this.calculateTwistingCurveIndices(value);
+        const curves = [];
+        for (let i = 0; i < value; ++i) {
+            // Curves in between are overwritten by the interpolation of the next update
+            curves.push(createRandomCurve(this.owner.n, this.owner.random, this.owner.layout.overshoot));
+        }
+        // Small stacks have fewer twisting curves, additional ones start with a random shape
+        for (let i = 0; i < Math.min(this.twistingCurveIndices.length, previousIndices.length); ++i) {
+            curves[this.twistingCurveIndices[i]] = this.curves[previousIndices[i]];
+        }
+        this.curves = curves;
+        for (let i = 1; i < this.twistingCurveIndices.length; ++i) {
+            this.interpolateCurves(this.twistingCurveIndices[i - 1], this.twistingCurveIndices[i]);
+        }
+    }
+
+    /**
+     * Interpolate the two given curves.
+     * @param {number} from Index of the upper curve.
+     * @param {number} to Index of the lower curve.
+     */
+    interpolateCurves(from, to) {
+        const n = this.owner.n;
+        for (let i = from + 1; i < to; ++i) {
+            for (let p = 1; p < n; ++p) {
+                this.curves[i][p] = this.curves[from][p].interpolate(this.curves[to][p], (i - from) / (to - from));
+            }
+        }
+    }
+
+    /**
+     * Update animation state.
+     * @param {number} timestamp Time at which the function was called.
+     * @param {number} timespan Milliseconds since the last update.
+     */
+    update(timestamp, timespan) {
+        const keyCurves = this.getKeyCurves();
+        for (let i = 0; i < keyCurves.length; ++i) {
+            this.updateCurve(keyCurves[i].curve, timespan, keyCurves[i].offsetY);
+            if (i > 0) {
+                this.interpolateCurves(this.twistingCurveIndices[i - 1], this.twistingCurveIndices[i]);
+            }
+        }
+    }
+
+    /**
+     * The twisting curves are animated, the curves between them are interpolated.
+     * @returns {{curve: AnimatedPoint[], offsetY: number}[]}
+     */
+    getKeyCurves() {
+        // Offsets of the curves in the stack (see draw)
+        const yPerCurve = this.getLayoutFrame(this.owner.canvas.width, this.owner.canvas.height).step;
+        return this.twistingCurveIndices.map(index => ({
+            curve: this.curves[index],
+            offsetY: yPerCurve * (this.curves.length - 1 - index),
+        }));
+    }
+
+    /**
+     * Control points of the curves as they are drawn, which are the animated curves themselves.
+     * @param {import("./layout.js").LayoutFrame} frame Placement of the curve stack.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {Point[][]}
+     */
+    getShownCurves(frame, width, height, timestamp) {
+        return this.curves;
+    }
+
+    /**
+     * All curves from the top one down.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {StackLayer[]}
+     */
+    getLayers(width, height, timestamp) {
+        const consts = this.owner.consts;
+
+        // Render all curves in layout space
+        const frame = this.getLayoutFrame(width, height);
+        const factorX = frame.scaleX;
+        const factorY = frame.scaleY;
+        let yTransform = 0;
+
+        const yPerCurve = frame.step;
+        yTransform += yPerCurve * (this.curves.length - 1);
+        const curves = this.getShownCurves(frame, width, height, timestamp);
+        const layers = [];
+        for (let i = 0; i < this.curves.length; ++i) {
+            const colour = this.getCurveColour(colours => consts.gradientMode === "stack" ?
+                samplePalette(colours, i / (this.curves.length - 1), consts.colourSpace) :
+                colours[Math.floor(colours.length * (i / consts.maxCurves))], 1 - i / (this.curves.length - 1));
+            const curve = curves[i];
+            const polyline = flattenCurve(curve, x => x * factorX, y => y * factorY, consts.flatnessTolerance, this.owner.basis);
+            const offsetY = yTransform;
+            const toCanvas = (x, y) => frame.toCanvas(x * factorX, y * factorY + offsetY);
+            layers.push({ index: i, curve, polyline, offsetY, toCanvas, colour, alpha: 1 });
+            yTransform -= yPerCurve;
+        }
+        return layers;
+    }
+
+    /**
+     * Draw animation objects.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {number} timestamp Time at which the function was called.
+     */
+    draw(ctx, timestamp) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        this.drawStack(ctx, this.getLayers(ctx.canvas.width, ctx.canvas.height, timestamp));
+    }
+}
+
+/**
+ * Twisting animation whose curves are stacked in depth and seen through a perspective camera.
+ * The curves are flattened in their plane, projected and drawn from back to front.
+ */
+export class PerspectiveAnimation extends TwistingAnimation {
+    /**
+     * @param {BezierCurves} owner Instance that owns the configuration and palette of this animation.
+     */
+    constructor(owner) {
+        super(owner);
+        this.flat = false;
+    }
+
+    /**
+     * Creates the projection of the configured camera at the given time.
+     * The camera looks at the centre of the stack, which is rotated by yaw (around the vertical axis)
+     * and then by pitch (around the horizontal axis).
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time, which turns the camera if it spins.
+     * @returns {(x: number, y: number, z: number) => {x: number, y: number, depth: number}}
+     *     Projection from centred world coordinates in pixels to canvas coordinates and depth.
+     */
+    createProjection(width, height, timestamp) {
+        const consts = this.owner.consts;
+        const yaw = (consts.cameraYaw + consts.cameraSpin * timestamp / 1000) * Math.PI / 180;
+        const pitch = consts.cameraPitch * Math.PI / 180;
+        const cosYaw = Math.cos(yaw);
+        const sinYaw = Math.sin(yaw);
+        const cosPitch = Math.cos(pitch);
+        const sinPitch = Math.sin(pitch);
+        const distance = consts.cameraDistance * width;
+        return (x, y, z) => {
+            const rotatedX = x * cosYaw - z * sinYaw;
+            const yawedZ = x * sinYaw + z * cosYaw;
+            const rotatedY = y * cosPitch - yawedZ * sinPitch;
+            const depth = y * sinPitch + yawedZ * cosPitch;
+            // Points behind the camera are pushed just in front of it
+            const scale = distance / Math.max(distance + depth, 0.05 * distance);
+            return { x: 0.5 * width + rotatedX * scale, y: 0.5 * height + rotatedY * scale, depth };
+        };
+    }
+
+    /**
+     * All curves in canvas coordinates with their depth.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {StackLayer[]}
+     */
+    getLayers(width, height, timestamp) {
+        const consts = this.owner.consts;
+        const project = this.createProjection(width, height, timestamp);
+        const factorY = consts.verticalCompression * height;
+        const spread = consts.depthSpread * width;
+
+        const layers = [];
+        for (let i = 0; i < this.curves.length; ++i) {
+            const colour = this.getCurveColour(colours => consts.gradientMode === "stack" ?
+                samplePalette(colours, i / (this.curves.length - 1), consts.colourSpace) :
+                colours[Math.floor(colours.length * (i / consts.maxCurves))], 1 - i / (this.curves.length - 1));
+            // The front curve is the lowest one of the flat stack
+            const z = spread * (0.5 - i / Math.max(this.curves.length - 1, 1));
+            // Flatten in the plane of the curve (centred, in pixels) and project the vertices
+            const curve = this.curves[i];
+            const polyline = flattenCurve(curve, x => (x - 0.5) * width, y => (y - 0.5) * factorY,
+                0.5 * consts.flatnessTolerance, this.owner.basis);
+            for (let k = 0; k < polyline.length; k += 2) {
+                const projected = project(polyline[k], polyline[k + 1], z);
+                polyline[k] = projected.x;
+                polyline[k + 1] = projected.y;
+            }
+            const toCanvas = (x, y) => {
+                const projected = project((x - 0.5) * width, (y - 0.5) * factorY, z);
+                return [projected.x, projected.y];
+            };
+            layers.push({ index: i, curve, polyline, offsetY: 0, toCanvas, colour, alpha: 1, depth: project(0, 0, z).depth });
+        }
+
+        // Depth fog fades out distant curves
+        const depths = layers.map(layer => layer.depth);
+        const nearest = Math.min(...depths);
+        const range = Math.max(...depths) - nearest || 1;
+        for (const layer of layers) {
+            layer.alpha = 1 - consts.depthFog * (layer.depth - nearest) / range;
+        }
+        return layers;
+    }
+}
+
+/**
+ * Twisting animation whose curves settle into a target outline, e.g. a logo or a word (see
+ * `BezierCurves.setMorphTarget`), and leave it again. In every cycle the curves move freely, settle into the
+ * outline, hold it and are released. The outline is split into one piece per curve and the control points of
+ * every curve are fitted to its piece. The first cycle starts with the first update after the warmup.
+ */
+export class MorphingAnimation extends TwistingAnimation {
+    /**
+     * @param {BezierCurves} owner Instance that owns the configuration and palette of this animation.
+     */
+    constructor(owner) {
+        super(owner);
+
+        /**
+         * Animation time at which the first cycle started (null until the instance runs).
+         * @type {number | null}
+         */
+        this.morphStart = null;
+
+        /**
+         * Control points fitted to the outline (in the [0, 1] range of the curves, without their offset
+         * in the stack) and the outline and canvas size they were fitted for (null until they are needed).
+         * @type {{outline: Float64Array[], width: number, height: number, curves: Point[][]} | null}
+         */
+        this.targets = null;
+    }
+
+    /**
+     * Initialise animation.
+     */
+    init() {
+        super.init();
+        this.morphStart = null;
+        this.targets = null;
+    }
+
+    /**
+     * Serialise the full animation state.
+     * @returns {object} JSON compatible state.
+     */
+    toJSON() {
+        return { ...super.toJSON(), morphStart: this.morphStart };
+    }
+
+    /**
+     * Restore a state previously created by `toJSON`.
+     * @param {object} json Serialised state.
+     */
+    restore(json) {
+        super.restore(json);
+        this.morphStart = json.morphStart === undefined ? null : json.morphStart;
+        this.targets = null;
+    }
+
+    /**
+     * Update animation state. The cycle starts with the first update of the running instance, i.e. not during
+     * the warmup or the prerendering of an animation switch, which simulate the time before.
+     * @param {number} timestamp Time at which the function was called.
+     * @param {number} timespan Milliseconds since the last update.
+     */
+    update(timestamp, timespan) {
+        super.update(timestamp, timespan);
+        const vars = this.owner.vars;
+        if (this.morphStart === null && vars.warmedUp && timestamp >= vars.lastFrame) {
+            this.morphStart = timestamp;
+        }
+    }
+
+    /**
+     * The fitted control points depend on the layout, the curve type and the amount of curves, so they are
+     * fitted again after any change.
+     * @param {string} key Name of the changed configuration field.
+     * @param {number} value New value.
+     * @param {number} previous Previous value.
+     */
+    onConfigChanged(key, value, previous) {
+        super.onConfigChanged(key, value, previous);
+        this.targets = null;
+    }
+
+    /**
+     * How far the curves have settled into the outline at the given time (eased).
+     * @param {number} timestamp Animation time.
+     * @returns {number} Progress in [0, 1] range (0 while the curves move freely, 1 while the outline is held).
+     */
+    getMorphProgress(timestamp) {
+        if (this.morphStart === null) {
+            return 0;
+        }
+        const { morphWanderMs, morphTransitionMs, morphHoldMs } = this.owner.consts;
+        const cycle = morphWanderMs + 2 * morphTransitionMs + morphHoldMs;
+        let time = ((timestamp - this.morphStart) % cycle + cycle) % cycle - morphWanderMs;
+        if (time < 0) {
+            return 0;
+        }
+        // Leaving the outline mirrors settling into it
+        if (time > morphTransitionMs + morphHoldMs) {
+            time = 2 * morphTransitionMs + morphHoldMs - time;
+        }
+        const progress = Math.min(time / morphTransitionMs, 1);
+        return progress * progress * (3 - 2 * progress);
+    }
+
+    /**
+     * Fits the control points of every curve to its piece of the outline, which is centred on the canvas.
+     * @param {import("./layout.js").LayoutFrame} frame Placement of the curve stack.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @returns {Point[][]} Control points by curve (curves without a piece have none).
+     */
+    getTargets(frame, width, height) {
+        const outline = this.owner.morphOutline;
+        const targets = this.targets;
+        if (targets !== null && targets.outline === outline && targets.width === width && targets.height === height) {
+            return targets.curves;
+        }
+
+        // The outline keeps its proportions
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const polyline of outline) {
+            for (let k = 0; k < polyline.length; k += 2) {
+                minX = Math.min(minX, polyline[k]);
+                maxX = Math.max(maxX, polyline[k]);
+                minY = Math.min(minY, polyline[k + 1]);
+                maxY = Math.max(maxY, polyline[k + 1]);
+            }
+        }
+        const scale = this.owner.consts.morphScale * Math.min(width / (maxX - minX || 1), height / (maxY - minY || 1));
+        const placed = outline.map(polyline => polyline.map((value, k) => k % 2 === 0 ?
+            0.5 * width + (value - 0.5 * (minX + maxX)) * scale :
+            0.5 * height + (value - 0.5 * (minY + maxY)) * scale));
+
+        // Pieces are split evenly on the canvas and fitted in the range of the curves, in which they are animated
+        const pointCount = this.owner.n + 1;
+        const samples = Math.max(4 * pointCount, 32);
+        const fit = createCurveFitter(pointCount, samples, this.owner.basis);
+        const scaleY = frame.scaleY || 1;
+        const curves = splitOutline(placed, this.curves.length, samples).map(piece => {
+            for (let k = 0; k < piece.length; k += 2) {
+                const [x, y] = frame.fromCanvas(piece[k], piece[k + 1]);
+                piece[k] = x / frame.scaleX;
+                piece[k + 1] = y / scaleY;
+                // Pieces which cross the seam of a layout that wraps around (radial) continue past it
+                if (k > 0) {
+                    piece[k] -= Math.round(piece[k] - piece[k - 2]);
+                }
+            }
+            return fit(piece);
+        });
+        this.targets = { outline, width, height, curves };
+        return curves;
+    }
+
+    /**
+     * The animated curves blended with the curves fitted to the outline.
+     * @param {import("./layout.js").LayoutFrame} frame Placement of the curve stack.
+     * @param {number} width Width of the canvas.
+     * @param {number} height Height of the canvas.
+     * @param {number} timestamp Animation time.
+     * @returns {Point[][]}
+     */
+    getShownCurves(frame, width, height, timestamp) {
+        const progress = this.getMorphProgress(timestamp);
+        if (progress === 0) {
+            return this.curves;
+        }
+        const targets = this.getTargets(frame, width, height);
+        const scaleY = frame.scaleY || 1;
+        return this.curves.map((curve, i) => {
+            if (targets[i] === undefined) {
+                return curve;
+            }
+            // The target is the same for every curve, so the offset of the curve in the stack is undone
+            const shift = frame.step * (this.curves.length - 1 - i) / scaleY;
+            return curve.map((point, k) => new Point(
+                interpolate(point.x, targets[i][k].x, progress),
+                interpolate(point.y, targets[i][k].y - shift, progress),
+                interpolate(point.w, 1, progress)));
+        });
+    }
+}
+
+/**
+ * Registered animations by name.
+ * @type {Map<string, typeof Animation>}
+ */
+export const animations = new Map([
+    ["twisting", TwistingAnimation],
+    ["sliding", SlidingAnimation],
+    ["perspective", PerspectiveAnimation],
+    ["morphing", MorphingAnimation],
+]);
+
+/**
+ * Names of all registered animations (kept in sync with `animations`).
+ * @type {string[]}
+ */
+export const animationModes = Array.from(animations.keys());
+
+/**
+ * Registers an additional animation, which then can be selected by name.
+ * @param {string} name Name of the animation.
+ * @param {typeof Animation} AnimationClass Subclass of `Animation` whose constructor takes the owning instance.
+ */
+export function registerAnimation(name, AnimationClass) {
+    if (!animations.has(name)) {
+        animationModes.push(name);
+    }
+    animations.set(name, AnimationClass);
+}
@@ -0,0 +1,257 @@
+"use strict";
+
+/**
+ * Factors on the motion of the curves which an external input can drive (all 1 without input).
+ * - amplitude: how far the control points swing away from the centre line of their curve
+ * - slideSpeed: distance between neighbouring curves of the stack (see `verticalSlideSpeed`)
+ * - spawnRate: how often the sliding animation spawns a curve (see `newCurveMs`)
+ * @typedef {{amplitude: number, slideSpeed: number, spawnRate: number}} Modulation
+ */
+
+/**
+ * Frequency band (in Hz) that drives a factor of the modulation, which is `1 + gain * level`
+ * with the loudness of the band as level in [0, 1] range.
+ * @typedef {{from: number, to: number, gain: number}} AudioBand
+ */
+
+/**
+ * Modulation without any input.
+ * @type {Modulation}
+ */
+export const neutralModulation = { amplitude: 1, slideSpeed: 1, spawnRate: 1 };
+
+/**
+ * Default mapping: the bass swings the curves, the mids spread the stack and the highs spawn curves faster.
+ * @type {{amplitude: AudioBand, slideSpeed: AudioBand, spawnRate: AudioBand}}
+ */
+export const defaultAudioMapping = {
+    amplitude: { from: 20, to: 250, gain: 1 },
+    slideSpeed: { from: 250, to: 2000, gain: 0.5 },
+    spawnRate: { from: 2000, to: 8000, gain: 2 },
+};
+
+/**
+ * Size in sample frames of the blocks in which audio is rendered, to whose boundaries offline rendering is suspended.
+ */
+const renderQuantum = 128;
+
+/**
+ * Sources of media elements by element. An element can only be connected to a single source node.
+ * @type {WeakMap<HTMLMediaElement, MediaElementAudioSourceNode>}
+ */
+const mediaElementSources = new WeakMap();
+
+/**
+ * Audio context shared by the media elements and streams (created on first use).
+ * @type {AudioContext | null}
+ */
+let sharedContext = null;
+
+/**
+ * Completes the given mapping with the default mapping and validates it.
+ * @param {object} [mapping] Bands of some or all factors of the modulation (see `defaultAudioMapping`).
+ * @returns {{amplitude: AudioBand, slideSpeed: AudioBand, spawnRate: AudioBand}}
+ */
+export function createAudioMapping(mapping = {}) {
+    const result = {};
+    for (const key of Object.keys(defaultAudioMapping)) {
+        const band = { ...defaultAudioMapping[key], ...mapping[key] };
+        if (!(band.from >= 0 && band.to > band.from) || !(band.gain >= 0) || !Number.isFinite(band.gain)) {
+            throw new RangeError(`Invalid audio band of "${key}": ${band.from} to ${band.to} Hz with gain ${band.gain}`);
+        }
+        result[key] = band;
+    }
+    return result;
+}
+
+/**
+ * Creates an audio node for the given input. Media elements keep playing through the speakers.
+ * @param {HTMLMediaElement | MediaStream | AudioNode} input Audio element, stream (e.g. a microphone) or node.
+ * @returns {AudioNode}
+ */
+export function createAudioSource(input) {
+    if (typeof input.connect === "function") {
+        return input;
+    }
+    if (sharedContext === null) {
+        sharedContext = new AudioContext();
+    }
+    // Browsers only start audio contexts after a user gesture
+    sharedContext.resume().catch(() => { });
+    if (typeof input.getAudioTracks === "function") {
+        return sharedContext.createMediaStreamSource(input);
+    }
+    let source = mediaElementSources.get(input);
+    if (source === undefined) {
+        source = sharedContext.createMediaElementSource(input);
+        source.connect(sharedContext.destination);
+        mediaElementSources.set(input, source);
+    }
+    return source;
+}
+
+/**
+ * Analyses the spectrum of an audio source and turns the loudness of frequency bands into a modulation.
+ */
+export class AudioReactor {
+    /**
+     * @param {AudioNode} source Node whose output is analysed.
+     * @param {object} [options] Analysis options.
+     * @param {object} [options.mapping] Bands of the factors of the modulation (see `createAudioMapping`).
+     * @param {number} [options.fftSize] Window size of the analysis (a power of two).
+     * @param {number} [options.smoothing] How much the spectrum is averaged over time in [0, 1) range.
+     */
+    constructor(source, { mapping, fftSize = 2048, smoothing = 0.8 } = {}) {
+        this.source = source;
+
+        /**
+         * Mapping from frequency bands to the modulation (may be changed while the audio is analysed).
+         */
+        this.mapping = createAudioMapping(mapping);
+
+        this.analyser = source.context.createAnalyser();
+        this.analyser.fftSize = fftSize;
+        this.analyser.smoothingTimeConstant = smoothing;
+        source.connect(this.analyser);
+
+        /**
+         * Loudness by frequency bin of the last analysis.
+         */
+        this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+
+    /**
+     * Average loudness of the given frequency range in the last analysed spectrum.
+     * @param {number} from Lowest frequency in Hz.
+     * @param {number} to Highest frequency in Hz.
+     * @returns {number} Level in [0, 1] range.
+     */
+    getLevel(from, to) {
+        const binWidth = this.source.context.sampleRate / this.analyser.fftSize;
+        const last = this.spectrum.length - 1;
+        const start = Math.min(Math.floor(from / binWidth), last);
+        const end = Math.min(Math.max(Math.ceil(to / binWidth), start + 1), last + 1);
+        let sum = 0;
+        for (let i = start; i < end; ++i) {
+            sum += this.spectrum[i];
+        }
+        return sum / (255 * (end - start));
+    }
+
+    /**
+     * Analyses the current spectrum of the source.
+     * @returns {Modulation}
+     */
+    sample() {
+        this.analyser.getByteFrequencyData(this.spectrum);
+        const modulation = {};
+        for (const [key, band] of Object.entries(this.mapping)) {
+            modulation[key] = 1 + band.gain * this.getLevel(band.from, band.to);
+        }
+        return modulation;
+    }
+
+    /**
+     * Stops analysing the source (which keeps playing).
+     */
+    disconnect() {
+        this.source.disconnect(this.analyser);
+    }
+}
+
+/**
+ * Plays back a modulation that was analysed ahead (see `analyseAudioOffline`) in sync with the animation time,
+ * so that an instance reacts to audio without analysing it while it runs (see `BezierCurves.setAudioInput`).
+ */
+export class ModulationTrack {
+    /**
+     * @param {(Modulation & {time: number})[]} frames Modulation of every frame and the time in seconds it was analysed at.
+     * @param {number} [start] Animation time in milliseconds at which the audio starts.
+     */
+    constructor(frames, start = 0) {
+        this.frames = frames;
+        this.start = start;
+    }
+
+    /**
+     * Modulation of the frame that contains the given time (neutral before and after the audio).
+     * @param {number} timestamp Animation time in milliseconds.
+     * @returns {Modulation}
+     */
+    sample(timestamp) {
+        const seconds = (timestamp - this.start) / 1000;
+        if (seconds < 0) {
+            return { ...neutralModulation };
+        }
+        // First frame analysed at or after the time (frames are analysed at their end)
+        let low = 0;
+        let high = this.frames.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.frames[middle].time < seconds) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        if (low === this.frames.length) {
+            return { ...neutralModulation };
+        }
+        const { amplitude, slideSpeed, spawnRate } = this.frames[low];
+        return { amplitude, slideSpeed, spawnRate };
+    }
+
+    /**
+     * Nothing is connected, the track just stops being played back.
+     */
+    disconnect() { }
+}
+
+/**
+ * Analyses the given audio faster than real time, e.g. to test a mapping with a local audio file
+ * or to prepare the modulation of an offline rendering (see `ModulationTrack` and `renderFrames`).
+ * The modulation of a frame analyses the audio up to the end of that frame. Rendering can only be suspended
+ * at the boundaries of render quanta, so frames within one quantum (high frame rates) share their analysis.
+ * @param {AudioBuffer} buffer Decoded audio (see `BaseAudioContext.decodeAudioData`).
+ * @param {object} [options] Analysis options (see `AudioReactor`).
+ * @param {number} [options.fps] Frames per second.
+ * @returns {Promise<(Modulation & {time: number})[]>} Modulation of every frame and the time in seconds it was analysed at.
+ */
+export async function analyseAudioOffline(buffer, { fps = 30, ...options } = {}) {
+    if (typeof OfflineAudioContext === "undefined") {
+        throw new Error("Analysing audio offline needs the Web Audio API (OfflineAudioContext)");
+    }
+    const context = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    const reactor = new AudioReactor(source, options);
+
+    // Times of the frames by the render quantum at whose start their spectrum is read
+    const quanta = new Map();
+    for (let frame = 1; frame / fps < buffer.duration; ++frame) {
+        const time = frame / fps;
+        const sampleFrame = Math.ceil(time * buffer.sampleRate / renderQuantum) * renderQuantum;
+        if (sampleFrame >= buffer.length) {
+            break;
+        }
+        if (!quanta.has(sampleFrame)) {
+            quanta.set(sampleFrame, []);
+        }
+        quanta.get(sampleFrame).push(time);
+    }
+
+    // Rendering stops at every quantum, where the spectrum is read
+    const frames = [];
+    const suspensions = Array.from(quanta, ([sampleFrame, times]) =>
+        context.suspend(sampleFrame / buffer.sampleRate).then(() => {
+            const modulation = reactor.sample();
+            for (const time of times) {
+                frames.push({ time, ...modulation });
+            }
+            return context.resume();
+        }));
+    source.start();
+    await Promise.all([context.startRendering(), ...suspensions]);
+    return frames;
+}
@@ -0,0 +1,167 @@
+"use strict";
+
+import { Point } from "./point.js";
+
+/**
+ * Piece of a curve in (rational) bezier form.
+ * @typedef {object} BezierSegment
+ * @property {Point[]} points Control points of the segment.
+ * @property {number[]} [weights] Weights of the control points (rational segments only).
+ */
+
+/**
+ * Basis which defines how the control points of a curve shape the curve.
+ * Every basis converts the control points into bezier segments, which are
+ * then evaluated and flattened the same way regardless of the basis.
+ * @typedef {object} CurveBasis
+ * @property {(curve: Point[]) => BezierSegment[]} toSegments Converts the control points into bezier segments.
+ */
+
+/**
+ * Single bezier curve in Bernstein form whose degree is the number of control points - 1.
+ * @type {CurveBasis}
+ */
+export const bezierBasis = {
+    toSegments(curve) {
+        return [{ points: curve }];
+    },
+};
+
+/**
+ * Uniform cubic B-spline. The end points are repeated, so that the curve starts and ends
+ * at the first and last control point. Each control point only influences four segments.
+ * @type {CurveBasis}
+ */
+export const bsplineBasis = {
+    toSegments(curve) {
+        const first = curve[0];
+        const last = curve[curve.length - 1];
+        const points = [first, first, ...curve, last, last];
+        const segments = [];
+        for (let i = 0; i + 3 < points.length; ++i) {
+            const [p0, p1, p2, p3] = points.slice(i, i + 4);
+            segments.push({
+                points: [
+                    new Point((p0.x + 4 * p1.x + p2.x) / 6, (p0.y + 4 * p1.y + p2.y) / 6),
+                    new Point((2 * p1.x + p2.x) / 3, (2 * p1.y + p2.y) / 3),
+                    new Point((p1.x + 2 * p2.x) / 3, (p1.y + 2 * p2.y) / 3),
+                    new Point((p1.x + 4 * p2.x + p3.x) / 6, (p1.y + 4 * p2.y + p3.y) / 6),
+                ],
+            });
+        }
+        return segments;
+    },
+};
+
+/**
+ * Uniform Catmull-Rom spline which passes through every control point.
+ * @type {CurveBasis}
+ */
+export const catmullRomBasis = {
+    toSegments(curve) {
+        const segments = [];
+        for (let i = 0; i + 1 < curve.length; ++i) {
+            const p0 = curve[Math.max(i - 1, 0)];
+            const p1 = curve[i];
+            const p2 = curve[i + 1];
+            const p3 = curve[Math.min(i + 2, curve.length - 1)];
+            segments.push({
+                points: [
+                    p1,
+                    new Point(p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6),
+                    new Point(p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6),
+                    p2,
+                ],
+            });
+        }
+        return segments;
+    },
+};
+
+/**
+ * Rational bezier curve which uses the weight `w` of every control point.
+ * Higher weights pull the curve towards the control point.
+ * @type {CurveBasis}
+ */
+export const rationalBasis = {
+    toSegments(curve) {
+        return [{ points: curve, weights: curve.map(point => point.w) }];
+    },
+};
+
+/**
+ * Registered curve bases by name.
+ * @type {Map<string, CurveBasis>}
+ */
+export const curveBases = new Map([
+    ["bezier", bezierBasis],
+    ["bspline", bsplineBasis],
+    ["catmull-rom", catmullRomBasis],
+    ["rational", rationalBasis],
+]);
+
+/**
+ * Names of all registered curve bases (kept in sync with `curveBases`).
+ * @type {string[]}
+ */
+export const curveTypes = Array.from(curveBases.keys());
+
+/**
+ * Registers an additional curve basis, which then can be selected with the `curveType` configuration.
+ * @param {string} name Name of the basis.
+ * @param {CurveBasis} basis Curve basis.
+ */
+export function registerCurveBasis(name, basis) {
+    if (!curveBases.has(name)) {
+        curveTypes.push(name);
+    }
+    curveBases.set(name, basis);
+}
+
+/**
+ * De Casteljau construction of the given curve at the given parameter.
+ * The parameter range is split evenly between the segments of the basis and only
+ * the segment that contains the parameter is constructed.
+ * @param {Point[]} curve Control points of the curve.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @param {CurveBasis} [basis] Curve basis.
+ * @returns {Point[][]} Points of every level of the construction, starting with the control points
+ *     of the segment and ending with the single point on the curve.
+ */
+export function constructCurve(curve, t, basis = bezierBasis) {
+    const segments = basis.toSegments(curve);
+    const scaled = Math.min(Math.max(t, 0), 1) * segments.length;
+    const index = Math.min(Math.floor(scaled), segments.length - 1);
+    const segment = segments[index];
+    const local = scaled - index;
+
+    // De Casteljau in homogeneous coordinates
+    const xs = segment.points.map((point, i) => point.x * (segment.weights ? segment.weights[i] : 1));
+    const ys = segment.points.map((point, i) => point.y * (segment.weights ? segment.weights[i] : 1));
+    const ws = segment.points.map((point, i) => segment.weights ? segment.weights[i] : 1);
+    const levels = [segment.points.map(point => new Point(point.x, point.y))];
+    for (let level = xs.length - 1; level > 0; --level) {
+        const points = [];
+        for (let i = 0; i < level; ++i) {
+            xs[i] += local * (xs[i + 1] - xs[i]);
+            ys[i] += local * (ys[i + 1] - ys[i]);
+            ws[i] += local * (ws[i + 1] - ws[i]);
+            points.push(new Point(xs[i] / ws[i], ys[i] / ws[i]));
+        }
+        levels.push(points);
+    }
+    return levels;
+}
+
+/**
+ * Evaluates the given curve at the given parameter.
+ * The parameter range is split evenly between the segments of the basis.
+ * @param {Point[]} curve Control points of the curve.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @param {CurveBasis} [basis] Curve basis.
+ * @returns {Point}
+ */
+export function evaluateCurve(curve, t, basis = bezierBasis) {
+    const levels = constructCurve(curve, t, basis);
+    return levels[levels.length - 1][0];
+}
@@ -0,0 +1,1219 @@
+"use strict";
+
+import { colourMap, blendPalettes } from "./colour.js";
+import { Config } from "./config.js";
+import { Emitter } from "./emitter.js";
+import { Random } from "./random.js";
+import { curveBases } from "./bases.js";
+import { animations } from "./animation.js";
+import { resizeLayer } from "./layer.js";
+import { motionModels } from "./motion.js";
+import { layouts } from "./layout.js";
+import { PointerField } from "./pointer.js";
+import { EditorOverlay } from "./overlay.js";
+import { clamp } from "./maths.js";
+import { Clock } from "./clock.js";
+import { bindKeyboardShortcuts } from "./keyboard.js";
+import { observeVisibility } from "./visibility.js";
+import { AudioReactor, ModulationTrack, createAudioSource, neutralModulation } from "./audio.js";
+import { createOutline, defaultMorphPath } from "./shape.js";
+
+/**
+ * @typedef {import("./animation.js").Animation} Animation
+ */
+
+/**
+ * Part of the stack over which the colours blend while a palette transition sweeps through it.
+ */
+const sweepWidth = 0.25;
+
+/**
+ * Milliseconds of animation time per simulated frame (warmup, seeking and stepping).
+ */
+const frameStep = 16;
+
+/**
+ * Milliseconds of animation time between two keyframes, from which seeking backwards continues.
+ */
+const keyframeInterval = 5000;
+
+/**
+ * Number of keyframes that are kept (older ones are dropped).
+ */
+const maxKeyframes = 120;
+
+/**
+ * Speed of the animation relative to real time when reduced motion drifts slowly.
+ */
+const driftScale = 0.05;
+
+/**
+ * Milliseconds a frame may come early and still be drawn with a frame rate cap (the timestamps jitter).
+ */
+const frameCapTolerance = 2;
+
+/**
+ * Animated bezier curve background which renders to a single canvas.
+ * Each instance owns its configuration, palette, animation and render loop,
+ * so multiple instances can run side by side on the same page.
+ *
+ * Events (see `on`):
+ * - "palettechange": `{ name, index }` after another palette was selected (its transition may still be running).
+ * - "palettelistchange": `{ names }` after a palette was added, changed or removed.
+ * - "modechange": `{ mode, previous }` after another animation was selected.
+ * - "clockchange": `{ paused, rate, time }` after the animation clock was paused, resumed, sped up or moved.
+ * - "curveclick": `{ index, t, colour, distance, x, y, preventDefault }` after a curve was clicked (see `pickCurve`).
+ *   The click switches to the next palette unless a listener calls `preventDefault()`.
+ */
+export class BezierCurves extends Emitter {
+    /**
+     * @param {HTMLCanvasElement} canvas Canvas to render on.
+     * @param {object} [options] Instance options.
+     * @param {number} [options.n] Dimension of the bezier curves.
+     * @param {Object<string, any>} [options.consts] Overrides of the default configuration (see `configSchema`).
+     * @param {Map<string, Colour[]>} [options.colourMap] Palettes to cycle through (defaults to the built-in palettes).
+     * @param {Map<string, Colour[]>} [options.customPalettes] User-defined palettes added after the other palettes.
+     * @param {string} [options.palette] Name of the initially selected palette.
+     * @param {string} [options.mode] Name of the animation that is shown (see `animations`).
+     * @param {boolean | object} [options.overlay] Whether the editor overlay is shown or its options (see `EditorOverlay`).
+     * @param {{modes: string[], interval?: number, duration?: number}} [options.playlist]
+     *     Animations which are shown in turns (see `setPlaylist`).
+     * @param {boolean} [options.autoResize] Whether the canvas is resized to fill its parent element.
+     * @param {boolean} [options.keyboard] Whether the keyboard shortcuts are bound to the window (see `keyboardShortcuts`).
+     * @param {boolean} [options.observeVisibility] Whether the motion preference of the user is followed and the
+     *     rendering loop is suspended while the page is hidden or the canvas is out of view (defaults to true).
+     * @param {number} [options.seed] Seed of the random number generator (random if omitted).
+     * @param {string | {text: string, font?: string} | Float64Array[]} [options.morphTarget]
+     *     Outline the curves of the morphing animation settle into (see `setMorphTarget`).
+     */
+    constructor(canvas, options = {}) {
+        super();
+
+        /**
+         * Rendering context of the canvas.
+         * @type {CanvasRenderingContext2D}
+         */
+        this.ctx = canvas.getContext("2d");
+
+        /**
+         * Typed and validated configuration.
+         */
+        this.config = new Config(Object.assign({ n: options.n }, options.consts));
+
+        /**
+         * Animation constants (read-only view of the configured values).
+         */
+        this.consts = this.config.values;
+
+        /**
+         * Random number generator through which every random decision goes.
+         */
+        this.random = new Random(options.seed);
+
+        /**
+         * Palettes of this instance.
+         * @type {Map<string, Colour[]>}
+         */
+        this.colourMap = new Map(options.colourMap || colourMap);
+        if (options.customPalettes) {
+            for (const [name, colours] of options.customPalettes) {
+                this.colourMap.set(name, colours);
+            }
+        }
+        this.colourIndices = Array.from(this.colourMap.keys());
+        this.currentColoursIndex = Math.max(0, this.colourIndices.indexOf(options.palette));
+
+        /**
+         * Inter frame variables.
+         */
+        this.vars = {
+            /**
+             * Timestamp of the previous frame in milliseconds.
+             */
+            lastFrame: 0,
+            /**
+             * Used to disable rendering during warmup phase.
+             */
+            enableRendering: false,
+            /**
+             * Whether the warmup phase has already been rendered.
+             */
+            warmedUp: false,
+            /**
+             * Whether the next frame is drawn even though the clock is paused.
+             */
+            redraw: false,
+            /**
+             * Handle of the pending animation frame request (0 if the loop is stopped or suspended).
+             */
+            frameRequest: 0,
+            /**
+             * Whether the rendering loop was started (it may still be suspended).
+             */
+            running: false,
+            /**
+             * Real timestamp of the last frame that was drawn by the rendering loop (used by the frame rate cap).
+             */
+            lastRenderTime: 0,
+            /**
+             * Whether the user prefers reduced motion.
+             */
+            prefersReducedMotion: false,
+            /**
+             * Canvas position at which the primary pointer was pressed (null if it is not pressed).
+             * @type {{x: number, y: number} | null}
+             */
+            pressPosition: null,
+            /**
+             * Canvas position of the mouse or pen hovering over the canvas (null if there is none).
+             * @type {{x: number, y: number} | null}
+             */
+            hoverPosition: null,
+            /**
+             * Whether the primary pointer was dragged since it was pressed, which suppresses the next click.
+             */
+            dragged: false,
+            /**
+             * Animation timestamp at which the palette was last changed (used by the palette cycle).
+             */
+            lastPaletteChange: 0,
+        };
+
+        /**
+         * Running transition from the previous palette to the selected one (null if there is none).
+         * `colours` is the blend of both palettes at the current progress.
+         * @type {{from: Colour[], style: string, start: number, duration: number, progress: number, colours: Colour[]} | null}
+         */
+        this.paletteTransition = null;
+
+        /**
+         * Clock which turns the real time of the rendering loop into animation time.
+         */
+        this.clock = new Clock();
+
+        /**
+         * Recent states of the animation by animation time, from which seeking backwards continues.
+         * @type {{time: number, animation: object, random: object}[]}
+         */
+        this.keyframes = [];
+
+        /**
+         * Reasons for which the rendering loop is suspended ("hidden" and "offscreen" by default).
+         * @type {Set<string>}
+         */
+        this.suspensions = new Set();
+
+        /**
+         * Pointers over the canvas, which displace the control points.
+         */
+        this.pointer = new PointerField();
+
+        /**
+         * Factors on the motion of the curves, which are driven by the audio input.
+         * @type {import("./audio.js").Modulation}
+         */
+        this.modulation = { ...neutralModulation };
+
+        /**
+         * Analysis of the audio input the curves react to (null if there is none).
+         * @type {AudioReactor | ModulationTrack | null}
+         */
+        this.audio = null;
+
+        /**
+         * Outline the curves of the morphing animation settle into (see `setMorphTarget`).
+         * @type {Float64Array[]}
+         */
+        this.morphOutline = createOutline(options.morphTarget === undefined ? defaultMorphPath : options.morphTarget);
+
+        /**
+         * Curve under the mouse, which is highlighted (null if there is none).
+         * @type {{index: number, colour: Colour} | null}
+         */
+        this.hoveredCurve = null;
+
+        /**
+         * Editor and debug overlay (null if it is hidden).
+         * @type {EditorOverlay | null}
+         */
+        this.overlay = null;
+
+        /**
+         * Variable that gates animation to prevent null-reference exceptions or
+         * access of uninitialised state.
+         */
+        this.cacheReady = false;
+
+        /**
+         * Name of the animation that is shown.
+         * @type {string}
+         */
+        this.mode = animations.has(options.mode) ? options.mode : "twisting";
+        this.animation = this.createAnimation(this.mode);
+
+        /**
+         * Running crossfade from a previous animation to the current one (null if there is none).
+         * @type {{from: Animation, start: number, duration: number} | null}
+         */
+        this.transition = null;
+
+        /**
+         * Offscreen layers the outgoing and incoming animation are drawn on during a crossfade.
+         * @type {(CanvasRenderingContext2D | null)[]}
+         */
+        this.transitionLayers = [null, null];
+
+        /**
+         * Animations which are shown in turns (null if there is no playlist).
+         * @type {{modes: string[], interval: number, duration: number, index: number, lastSwitch: number} | null}
+         */
+        this.playlist = null;
+        if (options.playlist) {
+            this.setPlaylist(options.playlist.modes, options.playlist);
+        }
+
+        this.onConfigChanged = this.onConfigChanged.bind(this);
+        this.onCanvasClicked = this.onCanvasClicked.bind(this);
+        this.onCanvasRightClicked = this.onCanvasRightClicked.bind(this);
+        this.onWindowResize = this.onWindowResize.bind(this);
+        this.onPointerMoved = this.onPointerMoved.bind(this);
+        this.onPointerReleased = this.onPointerReleased.bind(this);
+        this.renderFrame = this.renderFrame.bind(this);
+
+        this.config.on("change", this.onConfigChanged);
+        canvas.addEventListener("click", this.onCanvasClicked);
+        canvas.addEventListener("contextmenu", this.onCanvasRightClicked);
+        for (const type of ["pointerdown", "pointermove"]) {
+            canvas.addEventListener(type, this.onPointerMoved);
+        }
+        for (const type of ["pointerup", "pointercancel", "pointerleave"]) {
+            canvas.addEventListener(type, this.onPointerReleased);
+        }
+        this.updateTouchAction();
+        if (options.overlay) {
+            this.setOverlay(true, options.overlay === true ? {} : options.overlay);
+        }
+        /**
+         * Function which unbinds the keyboard shortcuts (null if they are not bound).
+         * @type {(() => void) | null}
+         */
+        this.unbindKeyboard = options.keyboard ? bindKeyboardShortcuts(this) : null;
+
+        /**
+         * Function which stops observing the motion preference and visibility (null if they are not observed).
+         * @type {(() => void) | null}
+         */
+        this.unobserveVisibility = options.observeVisibility !== false ? observeVisibility(this) : null;
+        this.autoResize = options.autoResize !== false;
+        if (this.autoResize) {
+            this.onWindowResize();
+            window.addEventListener("resize", this.onWindowResize);
+        }
+
+        this.animation.init();
+        this.cacheReady = true;
+    }
+
+    /**
+     * Canvas that is rendered on.
+     * @type {HTMLCanvasElement}
+     */
+    get canvas() { return this.ctx.canvas; }
+
+    /**
+     * Dimension of the bezier curves.
+     * @type {number}
+     */
+    get n() { return this.consts.n; }
+
+    /**
+     * Colours of the currently shown palette, which is a blend of two palettes during a palette transition.
+     * @type {Colour[]}
+     */
+    get colours() {
+        return this.paletteTransition !== null ? this.paletteTransition.colours : this.selectedColours;
+    }
+
+    /**
+     * Colours of the currently selected palette.
+     * @type {Colour[]}
+     */
+    get selectedColours() { return this.colourMap.get(this.colourIndices[this.currentColoursIndex]); }
+
+    /**
+     * Basis of the configured curve type.
+     * @type {import("./bases.js").CurveBasis}
+     */
+    get basis() { return curveBases.get(this.consts.curveType); }
+
+    /**
+     * Motion model of the control points.
+     * @type {import("./motion.js").MotionModel}
+     */
+    get motion() { return motionModels.get(this.consts.motionModel); }
+
+    /**
+     * Arrangement of the curve stack on the canvas.
+     * @type {import("./layout.js").Layout}
+     */
+    get layout() { return layouts.get(this.consts.layout); }
+
+    /**
+     * Seed the random number generator was created with.
+     * @type {number}
+     */
+    get seed() { return this.random.seed; }
+
+    /**
+     * Name of the currently selected palette.
+     * @type {string}
+     */
+    get paletteName() { return this.colourIndices[this.currentColoursIndex]; }
+
+    /**
+     * Selects the palette with the given index in `colourIndices`.
+     * The curves change to the new colours with the configured palette transition.
+     * @param {number} index Index of the palette (wraps around).
+     * @param {object} [options] Transition options.
+     * @param {"instant" | "crossfade" | "sweep"} [options.style] How the curves change their colours.
+     * @param {number} [options.duration] Milliseconds of the transition.
+     */
+    selectPalette(index, options) {
+        const count = this.colourIndices.length;
+        // A running transition continues from the colours that are currently shown
+        const from = this.colours;
+        this.currentColoursIndex = ((index % count) + count) % count;
+        this.startPaletteTransition(from, options);
+        this.emit("palettechange", { name: this.paletteName, index: this.currentColoursIndex });
+    }
+
+    /**
+     * Starts the transition from the given colours to the selected palette.
+     * @param {Colour[]} from Colours that were shown before.
+     * @param {object} [options] Transition options (see `selectPalette`).
+     */
+    startPaletteTransition(from, { style = this.consts.paletteTransition, duration = this.consts.paletteTransitionMs } = {}) {
+        const now = this.vars.lastFrame;
+        this.vars.lastPaletteChange = now;
+        this.paletteTransition = style !== "instant" && duration > 0 && this.vars.warmedUp && this.clock.running ?
+            { from, style, start: now, duration, progress: 0, colours: from } : null;
+        this.vars.redraw = true;
+    }
+
+    /**
+     * Selects the palette with the given name.
+     * @param {string} name Name of the palette.
+     * @param {object} [options] Transition options (see `selectPalette`).
+     */
+    selectPaletteByName(name, options) {
+        const index = this.colourIndices.indexOf(name);
+        if (index < 0) {
+            throw new Error(`Unknown palette "${name}"`);
+        }
+        this.selectPalette(index, options);
+    }
+
+    /**
+     * Palettes a curve at the given place in the stack is blended between during a palette transition.
+     * Crossfades blend all curves alike, sweeps change the curves one after another from the lowest one upwards.
+     * @param {number} position Place of the curve in the stack from the lowest (0) to the highest curve (1).
+     * @returns {{from: Colour[], to: Colour[], factor: number} | null} Blend or null if there is no transition.
+     */
+    getPaletteBlend(position) {
+        const transition = this.paletteTransition;
+        if (transition === null) {
+            return null;
+        }
+        let factor = transition.progress;
+        if (transition.style === "sweep") {
+            factor = clamp((transition.progress * (1 + sweepWidth) - position) / sweepWidth, 0, 1);
+        }
+        return { from: transition.from, to: this.selectedColours, factor };
+    }
+
+    /**
+     * Advances the palette transition and the automatic palette cycle.
+     * @param {number} timestamp Current animation time.
+     */
+    updatePalette(timestamp) {
+        const transition = this.paletteTransition;
+        if (transition !== null) {
+            transition.progress = clamp((timestamp - transition.start) / transition.duration, 0, 1);
+            if (transition.progress >= 1) {
+                this.paletteTransition = null;
+            } else {
+                transition.colours = blendPalettes(transition.from, this.selectedColours, transition.progress, this.consts.colourSpace);
+            }
+        }
+        const cycle = this.consts.paletteCycleMs;
+        if (cycle > 0 && this.vars.warmedUp && timestamp - this.vars.lastPaletteChange >= cycle) {
+            this.selectPalette(this.currentColoursIndex + 1);
+        }
+    }
+
+    /**
+     * Adds a palette or replaces the colours of an existing one.
+     * @param {string} name Name of the palette.
+     * @param {Colour[]} colours Colours of the palette (at least one).
+     */
+    setPalette(name, colours) {
+        if (colours.length === 0) {
+            throw new RangeError(`Palette "${name}" needs at least one colour`);
+        }
+        const currentName = this.paletteName;
+        this.colourMap.set(name, colours);
+        this.colourIndices = Array.from(this.colourMap.keys());
+        this.currentColoursIndex = this.colourIndices.indexOf(currentName);
+        this.emit("palettelistchange", { names: this.colourIndices.slice() });
+    }
+
+    /**
+     * Removes the given palette. The last remaining palette cannot be removed.
+     * @param {string} name Name of the palette.
+     */
+    removePalette(name) {
+        if (!this.colourMap.has(name) || this.colourMap.size <= 1) {
+            return;
+        }
+        const currentName = this.paletteName;
+        const shownColours = this.colours;
+        this.colourMap.delete(name);
+        this.colourIndices = Array.from(this.colourMap.keys());
+        this.emit("palettelistchange", { names: this.colourIndices.slice() });
+        if (currentName === name) {
+            this.currentColoursIndex = Math.min(this.currentColoursIndex, this.colourIndices.length - 1);
+            this.startPaletteTransition(shownColours);
+            this.emit("palettechange", { name: this.paletteName, index: this.currentColoursIndex });
+        } else {
+            this.currentColoursIndex = this.colourIndices.indexOf(currentName);
+        }
+    }
+
+    /**
+     * Changes the dimension of the bezier curves and reinitialises the animation.
+     * @param {number} newN New dimension of the bezier curves.
+     */
+    setN(newN) {
+        this.config.set("n", newN);
+    }
+
+    /**
+     * Creates the animation with the given name.
+     * @param {string} mode Name of a registered animation.
+     * @returns {Animation}
+     */
+    createAnimation(mode) {
+        const AnimationClass = animations.get(mode);
+        if (AnimationClass === undefined) {
+            throw new Error(`Unknown animation "${mode}"`);
+        }
+        return new AnimationClass(this);
+    }
+
+    /**
+     * Switches to the animation with the given name while the instance is running.
+     * The new animation is prerendered and then crossfaded with the previous one.
+     * @param {string} mode Name of a registered animation.
+     * @param {object} [options] Switch options.
+     * @param {number} [options.duration] Milliseconds of the crossfade (0 switches instantly).
+     */
+    setAnimation(mode, { duration = 1000 } = {}) {
+        const animation = this.createAnimation(mode);
+        const previous = this.mode;
+        this.cacheReady = false;
+        animation.init();
+
+        // Prerender the new animation, so that it does not start with an empty canvas
+        const now = this.vars.lastFrame;
+        const warmup = this.consts.maxCurves * this.consts.newCurveMs;
+        for (let timestamp = now - warmup; timestamp < now; timestamp += frameStep) {
+            animation.update(timestamp, frameStep);
+        }
+
+        // Transitions need a running clock to finish
+        this.transition = duration > 0 && this.vars.warmedUp && this.clock.running ?
+            { from: this.animation, start: now, duration } : null;
+        this.animation = animation;
+        this.mode = mode;
+        this.keyframes = [];
+        this.vars.redraw = true;
+        this.cacheReady = true;
+        this.emit("modechange", { mode, previous });
+    }
+
+    /**
+     * Shows the given animations in turns. The playlist starts with the current animation
+     * if it is part of the playlist.
+     * @param {string[] | null} modes Names of the animations or null to remove the playlist.
+     * @param {object} [options] Playlist options.
+     * @param {number} [options.interval] Milliseconds each animation is shown.
+     * @param {number} [options.duration] Milliseconds of the crossfade between two animations.
+     */
+    setPlaylist(modes, { interval = 30000, duration = 2000 } = {}) {
+        if (modes === null || modes.length === 0) {
+            this.playlist = null;
+            return;
+        }
+        modes.forEach(mode => {
+            if (!animations.has(mode)) { throw new Error(`Unknown animation "${mode}"`); }
+        });
+        this.playlist = {
+            modes: modes.slice(),
+            interval,
+            duration,
+            index: Math.max(0, modes.indexOf(this.mode)),
+            lastSwitch: this.vars.lastFrame,
+        };
+    }
+
+    /**
+     * Shows or hides the editor and debug overlay.
+     * @param {boolean} enabled Whether the overlay is shown.
+     * @param {object} [options] Options of the overlay (see `EditorOverlay`).
+     */
+    setOverlay(enabled, options = {}) {
+        if (this.overlay !== null) {
+            this.overlay.destroy();
+            this.overlay = null;
+        }
+        if (enabled) {
+            this.overlay = new EditorOverlay(this, options);
+        }
+    }
+
+    /**
+     * Lets the curves react to the given audio or stops reacting if null is given.
+     * The loudness of frequency bands drives the swing of the curves, the distance between them and
+     * how often sliding curves are spawned (see `AudioReactor` and `defaultAudioMapping`).
+     * Audio that was analysed ahead (see `analyseAudioOffline`) is played back from the current animation time.
+     * @param {HTMLMediaElement | MediaStream | AudioNode | (import("./audio.js").Modulation & {time: number})[] | null} input
+     *     Audio element, stream (e.g. a microphone), node or the modulation of every frame of analysed audio.
+     * @param {object} [options] Analysis options including the mapping (see `AudioReactor`).
+     * @returns {AudioReactor | ModulationTrack | null} Analysis of the input, whose mapping can still be changed.
+     */
+    setAudioInput(input, options) {
+        if (this.audio !== null) {
+            this.audio.disconnect();
+            this.audio = null;
+        }
+        this.modulation = { ...neutralModulation };
+        if (Array.isArray(input)) {
+            this.audio = new ModulationTrack(input, this.vars.lastFrame);
+        } else if (input !== null) {
+            this.audio = new AudioReactor(createAudioSource(input), options);
+        }
+        return this.audio;
+    }
+
+    /**
+     * Sets the outline the curves of the "morphing" animation settle into, e.g. a logo or a word.
+     * @param {string | {text: string, font?: string} | Float64Array[]} target SVG path data, text which is traced
+     *     with the given CSS font (needs a browser, see `traceText`) or polylines of interleaved coordinates.
+     */
+    setMorphTarget(target) {
+        this.morphOutline = createOutline(target);
+        this.vars.redraw = true;
+    }
+
+    /**
+     * Switches to the next animation of the playlist once its interval has passed.
+     * @param {number} timestamp Current animation time.
+     */
+    updatePlaylist(timestamp) {
+        const playlist = this.playlist;
+        if (playlist === null || timestamp - playlist.lastSwitch < playlist.interval) {
+            return;
+        }
+        playlist.lastSwitch = timestamp;
+        playlist.index = (playlist.index + 1) % playlist.modes.length;
+        const mode = playlist.modes[playlist.index];
+        if (mode !== this.mode) {
+            this.setAnimation(mode, { duration: playlist.duration });
+        }
+    }
+
+    /**
+     * Draws the outgoing and incoming animation on their own layers and blends them on the canvas.
+     * Falls back to drawing the incoming animation only if no offscreen layers are available.
+     * @param {number} timestamp Current animation time.
+     */
+    drawTransition(timestamp) {
+        const ctx = this.ctx;
+        const { width, height } = ctx.canvas;
+        const layers = this.transitionLayers;
+        layers[0] = resizeLayer(layers[0], width, height);
+        layers[1] = resizeLayer(layers[1], width, height);
+        if (layers[0] === null || layers[1] === null) {
+            this.animation.draw(ctx, timestamp);
+            return;
+        }
+        const progress = clamp((timestamp - this.transition.start) / this.transition.duration, 0, 1);
+        this.transition.from.draw(layers[0], timestamp);
+        this.animation.draw(layers[1], timestamp);
+        ctx.clearRect(0, 0, width, height);
+        ctx.globalAlpha = 1 - progress;
+        ctx.drawImage(layers[0].canvas, 0, 0);
+        ctx.globalAlpha = progress;
+        ctx.drawImage(layers[1].canvas, 0, 0);
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Serialises the full state of the instance (configuration, palette, random number generator
+     * and animation) into a JSON compatible object.
+     * @returns {object}
+     */
+    snapshot() {
+        return {
+            version: 1,
+            mode: this.mode,
+            palette: this.paletteName,
+            config: this.config.toJSON(),
+            random: this.random.toJSON(),
+            time: this.vars.lastFrame,
+            animation: this.animation.toJSON(),
+        };
+    }
+
+    /**
+     * Restores a state previously created by `snapshot`.
+     * The animation continues exactly where the snapshot was taken.
+     * @param {object | string} snapshot Snapshot object or its JSON string.
+     */
+    restore(snapshot) {
+        if (typeof snapshot === "string") {
+            snapshot = JSON.parse(snapshot);
+        }
+        if (snapshot.version !== 1) {
+            throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+        }
+        // The animation is rebuilt first, so that an unknown mode or a broken state leaves the instance untouched
+        const animation = this.createAnimation(snapshot.mode);
+        animation.restore(snapshot.animation);
+        this.config.update(snapshot.config);
+        this.cacheReady = false;
+        this.animation = animation;
+        this.mode = snapshot.mode;
+        this.transition = null;
+        this.random.restore(snapshot.random);
+        const paletteIndex = this.colourIndices.indexOf(snapshot.palette);
+        if (paletteIndex >= 0) {
+            this.selectPalette(paletteIndex, { style: "instant" });
+        }
+
+        // Continue the animation time of the snapshot
+        const vars = this.vars;
+        vars.lastFrame = snapshot.time;
+        vars.warmedUp = true;
+        vars.redraw = true;
+        this.clock.seek(snapshot.time);
+        this.keyframes = [];
+        vars.lastPaletteChange = snapshot.time;
+        this.cacheReady = true;
+    }
+
+    /**
+     * Rebuilds the animation state that depends on the changed configuration value.
+     * @param {{key: string, value: number | string, previous: number | string}} event Change event of the configuration.
+     */
+    onConfigChanged(event) {
+        this.cacheReady = false;
+        // A running crossfade is finished, so only the current animation needs to be rebuilt
+        this.transition = null;
+        if (event.key === "pointerMode") {
+            this.updateTouchAction();
+        }
+        if (event.key === "reducedMotion") {
+            this.updateMotionScale();
+        }
+        // Radial loops and open curves differ in their end points, so the curves are recreated
+        const overshootChanged = event.key === "layout" &&
+            layouts.get(event.previous).overshoot !== layouts.get(event.value).overshoot;
+        if (event.key === "n" || overshootChanged) {
+            this.animation.init();
+        } else {
+            this.animation.onConfigChanged(event.key, event.value, event.previous);
+        }
+        // Keyframes of the old configuration would not fit the rebuilt state
+        this.keyframes = [];
+        this.vars.redraw = true;
+        this.cacheReady = true;
+    }
+
+    /**
+     * Animate the canvas.
+     * @param {number} timestamp Time at which the function was called.
+     * @param {number} [frameTime] Real time of the frame (e.g. from requestAnimationFrame), which the
+     *     frame statistics of the overlay are measured in, since the animation time depends on the playback rate.
+     */
+    drawFrame(timestamp, frameTime = performance.now()) {
+        const frameStart = this.overlay !== null ? performance.now() : 0;
+        if (!this.updateFrame(timestamp)) {
+            return;
+        }
+
+        // Gate off rendering of canvas
+        if (!this.vars.enableRendering) {
+            return;
+        }
+        this.vars.redraw = false;
+        this.updateHover();
+
+        if (this.transition !== null) {
+            this.drawTransition(timestamp);
+        } else {
+            this.animation.draw(this.ctx, timestamp);
+        }
+        if (this.overlay !== null) {
+            this.overlay.recordFrame(frameTime, performance.now() - frameStart);
+            this.overlay.draw(this.ctx, timestamp);
+        }
+    }
+
+    /**
+     * Finds the curve of the current animation that is drawn at the given canvas position (see `Animation.pick`).
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @returns {{index: number, t: number, colour: Colour, distance: number} | null}
+     */
+    pickCurve(x, y) {
+        if (!this.cacheReady) {
+            return null;
+        }
+        return this.animation.pick(x, y, this.consts.pickTolerance);
+    }
+
+    /**
+     * Picks the curve under the mouse again, because the curves move below it.
+     */
+    updateHover() {
+        const position = this.vars.hoverPosition;
+        const picked = position !== null && this.consts.hoverHighlight !== "off" && this.cacheReady ?
+            this.animation.pickLayer(position.x, position.y, this.consts.pickTolerance) : null;
+        this.hoveredCurve = picked !== null ? { index: picked.layer.index, colour: picked.layer.colour } : null;
+    }
+
+    /**
+     * Advances the state of the animation without drawing it.
+     * @param {number} timestamp Animation time of the frame.
+     * @returns {boolean} Whether the state was ready to be updated.
+     */
+    updateFrame(timestamp) {
+        const vars = this.vars;
+        const timespan = timestamp - vars.lastFrame;
+        vars.lastFrame = timestamp;
+
+        // Gate off state access until it is ready
+        if (!this.cacheReady) {
+            return false;
+        }
+
+        this.updatePlaylist(timestamp);
+        this.updatePalette(timestamp);
+        if (this.audio !== null) {
+            this.modulation = this.audio.sample(timestamp);
+        }
+        this.pointer.update(timespan);
+        this.animation.update(timestamp, timespan);
+        if (this.transition !== null) {
+            if (timestamp - this.transition.start >= this.transition.duration) {
+                this.transition = null;
+            } else {
+                this.transition.from.update(timestamp, timespan);
+            }
+        }
+        this.recordKeyframe(timestamp);
+        return true;
+    }
+
+    /**
+     * Remembers the state of the animation if the last keyframe is old enough.
+     * @param {number} timestamp Animation time of the frame.
+     */
+    recordKeyframe(timestamp) {
+        const keyframes = this.keyframes;
+        if (!this.vars.warmedUp || (keyframes.length > 0 && timestamp - keyframes[keyframes.length - 1].time < keyframeInterval)) {
+            return;
+        }
+        keyframes.push({ time: timestamp, animation: this.animation.toJSON(), random: this.random.toJSON() });
+        if (keyframes.length > maxKeyframes) {
+            keyframes.shift();
+        }
+    }
+
+    /**
+     * Whether the animation clock is paused.
+     * @type {boolean}
+     */
+    get paused() { return this.clock.paused; }
+
+    /**
+     * Animation milliseconds per real millisecond.
+     * @type {number}
+     */
+    get playbackRate() { return this.clock.rate; }
+
+    /**
+     * Freezes the animation. The rendering loop keeps running, so configuration changes are still shown.
+     */
+    pause() {
+        this.clock.pause();
+        this.emitClockChange();
+    }
+
+    /**
+     * Continues a paused animation.
+     */
+    resume() {
+        this.clock.resume();
+        this.emitClockChange();
+    }
+
+    /**
+     * Pauses a running or resumes a paused animation.
+     */
+    togglePause() {
+        if (this.clock.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Changes how fast the animation runs.
+     * @param {number} rate Animation milliseconds per real millisecond (1 is real time).
+     */
+    setPlaybackRate(rate) {
+        this.clock.setRate(rate);
+        this.emitClockChange();
+    }
+
+    /**
+     * Moves the animation to the given time and draws it.
+     * The animation can only be simulated forwards, so seeking backwards continues from the latest
+     * keyframe before the time (or the oldest keyframe if the time lies before it).
+     * User interaction between the keyframe and the time is not replayed.
+     * @param {number} time Animation time in milliseconds.
+     */
+    seek(time) {
+        const vars = this.vars;
+        if (time < vars.lastFrame && this.keyframes.length > 0) {
+            const earlier = this.keyframes.filter(keyframe => keyframe.time <= time);
+            const keyframe = earlier.length > 0 ? earlier[earlier.length - 1] : this.keyframes[0];
+            this.keyframes = this.keyframes.slice(0, this.keyframes.indexOf(keyframe) + 1);
+            this.animation.restore(keyframe.animation);
+            this.random.restore(keyframe.random);
+            vars.lastFrame = keyframe.time;
+        }
+        time = Math.max(time, vars.lastFrame);
+        // Transitions are not replayed
+        this.transition = null;
+        this.paletteTransition = null;
+        if (this.playlist !== null) {
+            this.playlist.lastSwitch = Math.min(this.playlist.lastSwitch, time);
+        }
+        vars.lastPaletteChange = Math.min(vars.lastPaletteChange, time);
+
+        this.advanceTo(time);
+        this.drawFrame(time);
+        this.clock.seek(time);
+        this.emitClockChange();
+    }
+
+    /**
+     * Simulates frames with a fixed time step from the last frame up to (but excluding) the given time.
+     * @param {number} time Animation time in milliseconds.
+     */
+    advanceTo(time) {
+        for (let timestamp = this.vars.lastFrame + frameStep; timestamp < time; timestamp += frameStep) {
+            this.updateFrame(timestamp);
+        }
+    }
+
+    /**
+     * Pauses the animation and moves it by the given number of frames.
+     * @param {number} [frames] Number of frames (negative values step backwards).
+     */
+    step(frames = 1) {
+        this.clock.pause();
+        this.seek(this.vars.lastFrame + frames * frameStep);
+    }
+
+    /**
+     * Applies the motion preference of the user (see the `reducedMotion` configuration).
+     * @param {boolean} reduced Whether the user prefers reduced motion.
+     */
+    setReducedMotion(reduced) {
+        this.vars.prefersReducedMotion = reduced;
+        this.updateMotionScale();
+    }
+
+    /**
+     * Slows down or stops the clock if the user prefers reduced motion.
+     */
+    updateMotionScale() {
+        const mode = this.consts.reducedMotion;
+        if (!this.vars.prefersReducedMotion || mode === "ignore") {
+            this.clock.scale = 1;
+        } else {
+            this.clock.scale = mode === "drift" ? driftScale : 0;
+        }
+        this.vars.redraw = true;
+        this.emitClockChange();
+    }
+
+    /**
+     * Suspends or continues the rendering loop for the given reason.
+     * The loop only runs while it is started and there is no reason to suspend it.
+     * @param {string} reason Reason of the suspension (e.g. "hidden" or "offscreen").
+     * @param {boolean} suspended Whether the loop is suspended for this reason.
+     */
+    setSuspended(reason, suspended) {
+        if (suspended) {
+            this.suspensions.add(reason);
+        } else {
+            this.suspensions.delete(reason);
+        }
+        this.updateLoop();
+    }
+
+    /**
+     * Requests or cancels animation frames depending on whether the loop is started and not suspended.
+     */
+    updateLoop() {
+        const vars = this.vars;
+        const active = vars.running && this.suspensions.size === 0;
+        if (active && vars.frameRequest === 0) {
+            // The time during which the loop was suspended is skipped
+            this.clock.reset();
+            vars.redraw = true;
+            vars.frameRequest = window.requestAnimationFrame(this.renderFrame);
+        } else if (!active && vars.frameRequest !== 0) {
+            window.cancelAnimationFrame(vars.frameRequest);
+            vars.frameRequest = 0;
+        }
+    }
+
+    /**
+     * Draws the next frame of the rendering loop even if the animation is paused.
+     */
+    requestRedraw() {
+        this.vars.redraw = true;
+    }
+
+    /**
+     * Notifies the listeners of "clockchange" about the state of the clock.
+     */
+    emitClockChange() {
+        this.emit("clockchange", { paused: this.clock.paused, rate: this.clock.rate, time: this.clock.time });
+    }
+
+    /**
+     * Callback of the rendering loop.
+     * @param {number} timestamp Real timestamp provided by requestAnimationFrame.
+     */
+    renderFrame(timestamp) {
+        const vars = this.vars;
+        vars.frameRequest = window.requestAnimationFrame(this.renderFrame);
+        const maxFps = this.consts.maxFps;
+        if (maxFps > 0 && timestamp - vars.lastRenderTime < 1000 / maxFps - frameCapTolerance) {
+            return;
+        }
+        vars.lastRenderTime = timestamp;
+        // A paused clock only draws frames when something changed
+        if (this.clock.tick(timestamp) || vars.redraw) {
+            this.drawFrame(this.clock.time, timestamp);
+        }
+    }
+
+    /**
+     * Prerenders enough frames to fill the canvas with curves, unless this was already done.
+     * Called by `start`, but also usable without a rendering loop (e.g. when rendering offline).
+     */
+    warmUp() {
+        const vars = this.vars;
+        if (vars.warmedUp) {
+            return;
+        }
+        const warmup = this.consts.maxCurves * this.consts.newCurveMs;
+        vars.lastFrame = -frameStep;
+        let artificialTimestamp = 0;
+        for (; artificialTimestamp <= warmup; artificialTimestamp += frameStep) {
+            this.drawFrame(artificialTimestamp);
+        }
+        vars.warmedUp = true;
+    }
+
+    /**
+     * Starts (or resumes) the rendering loop.
+     * The first start prerenders enough frames to fill the canvas with curves.
+     */
+    start() {
+        const vars = this.vars;
+        if (vars.running) {
+            return;
+        }
+        this.warmUp();
+
+        // Continue from the last rendered animation timestamp
+        this.clock.seek(vars.lastFrame);
+        vars.enableRendering = true;
+        vars.running = true;
+        this.updateLoop();
+    }
+
+    /**
+     * Stops the rendering loop. The animation can be resumed with `start()`.
+     */
+    stop() {
+        this.vars.running = false;
+        this.updateLoop();
+    }
+
+    /**
+     * Stops the rendering loop, removes all event listeners and clears the canvas.
+     * The instance must not be used afterwards.
+     */
+    destroy() {
+        this.stop();
+        this.setOverlay(false);
+        this.setAudioInput(null);
+        if (this.unbindKeyboard !== null) {
+            this.unbindKeyboard();
+            this.unbindKeyboard = null;
+        }
+        if (this.unobserveVisibility !== null) {
+            this.unobserveVisibility();
+            this.unobserveVisibility = null;
+        }
+        this.config.off("change", this.onConfigChanged);
+        this.canvas.removeEventListener("click", this.onCanvasClicked);
+        this.canvas.removeEventListener("contextmenu", this.onCanvasRightClicked);
+        for (const type of ["pointerdown", "pointermove"]) {
+            this.canvas.removeEventListener(type, this.onPointerMoved);
+        }
+        for (const type of ["pointerup", "pointercancel", "pointerleave"]) {
+            this.canvas.removeEventListener(type, this.onPointerReleased);
+        }
+        if (this.autoResize) {
+            window.removeEventListener("resize", this.onWindowResize);
+        }
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.cacheReady = false;
+    }
+
+    /**
+     * Resize canvas to fill its parent element.
+     */
+    onWindowResize() {
+        const parent = this.canvas.parentElement;
+        if (parent === null) {
+            return;
+        }
+        this.canvas.width = parent.clientWidth;
+        this.canvas.height = parent.clientHeight;
+        // Resizing clears the canvas
+        this.vars.redraw = true;
+    }
+
+    /**
+     * @param {MouseEvent} event Mouse event.
+     */
+    onCanvasClicked(event) {
+        if (this.vars.dragged) {
+            // The click ends a fling gesture
+            this.vars.dragged = false;
+            return;
+        }
+        const { x, y } = this.getCanvasPosition(event);
+        const curve = this.pickCurve(x, y);
+        if (curve !== null) {
+            const clickEvent = {
+                ...curve, x, y, defaultPrevented: false,
+                preventDefault() { this.defaultPrevented = true; },
+            };
+            this.emit("curveclick", clickEvent);
+            if (clickEvent.defaultPrevented) {
+                return;
+            }
+        }
+        this.selectPalette(this.currentColoursIndex + 1);
+    }
+
+    /**
+     * Prevents touch gestures from scrolling the page while the curves react to touches.
+     */
+    updateTouchAction() {
+        if (this.canvas.style !== undefined) {
+            this.canvas.style.touchAction = this.consts.pointerMode === "off" ? "" : "none";
+        }
+    }
+
+    /**
+     * Converts the position of the given pointer event to canvas pixels.
+     * @param {PointerEvent} event Pointer event.
+     * @returns {{x: number, y: number}}
+     */
+    getCanvasPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (this.canvas.height / rect.height),
+        };
+    }
+
+    /**
+     * @param {PointerEvent} event Pointer event of a pressed or moved pointer.
+     */
+    onPointerMoved(event) {
+        const { x, y } = this.getCanvasPosition(event);
+        // Touches do not hover
+        if (event.pointerType !== "touch") {
+            this.vars.hoverPosition = { x, y };
+            if (this.consts.hoverHighlight !== "off") {
+                this.requestRedraw();
+            }
+        }
+        if (this.consts.pointerMode === "off") {
+            return;
+        }
+        this.pointer.move(event.pointerId, x, y, event.timeStamp);
+        if (!event.isPrimary) {
+            return;
+        }
+        const vars = this.vars;
+        if (event.type === "pointerdown") {
+            vars.pressPosition = { x, y };
+            vars.dragged = false;
+        } else if (vars.pressPosition !== null && Math.hypot(x - vars.pressPosition.x, y - vars.pressPosition.y) > 10) {
+            vars.dragged = true;
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event Pointer event of a released pointer or one that left the canvas.
+     */
+    onPointerReleased(event) {
+        if (event.type === "pointerleave") {
+            this.vars.hoverPosition = null;
+            this.requestRedraw();
+        }
+        if (event.isPrimary) {
+            this.vars.pressPosition = null;
+        }
+        // The mouse keeps influencing the curves while it hovers over the canvas
+        if (event.type !== "pointerleave" && event.pointerType === "mouse") {
+            return;
+        }
+        this.pointer.release(event.pointerId);
+    }
+
+    /**
+     * @param {MouseEvent} event Mouse event.
+     */
+    onCanvasRightClicked(event) {
+        event.preventDefault();
+        this.selectPalette(this.currentColoursIndex - 1);
+    }
+}
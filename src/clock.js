@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Largest gap in milliseconds between two ticks that still advances the clock.
+ * Bigger gaps (e.g. while the browser tab was inactive) are skipped.
+ */
+const maxGap = 1000;
+
+/**
+ * Animation clock, which turns the real timestamps of the rendering loop into animation time.
+ * The clock can be paused, run faster or slower and be set to any time.
+ */
+export class Clock {
+    /**
+     * @param {number} [time] Initial animation time in milliseconds.
+     */
+    constructor(time = 0) {
+        /**
+         * Animation time in milliseconds.
+         */
+        this.time = time;
+
+        /**
+         * Animation milliseconds per real millisecond.
+         */
+        this.rate = 1;
+
+        /**
+         * Factor on the rate which is not controlled by the playback rate (e.g. for reduced motion).
+         */
+        this.scale = 1;
+
+        /**
+         * Whether the clock stands still.
+         */
+        this.paused = false;
+
+        /**
+         * Real timestamp of the previous tick (null before the first tick).
+         * @type {number | null}
+         */
+        this.lastRealTime = null;
+    }
+
+    /**
+     * Advances the animation time by the real time since the previous tick.
+     * @param {number} realTime Real timestamp in milliseconds (e.g. provided by requestAnimationFrame).
+     * @returns {boolean} Whether the clock is running, i.e. whether a new frame should be drawn.
+     */
+    tick(realTime) {
+        const previous = this.lastRealTime;
+        this.lastRealTime = realTime;
+        if (previous === null || !this.running) {
+            return false;
+        }
+        const elapsed = realTime - previous;
+        if (elapsed > 0 && elapsed <= maxGap) {
+            this.time += elapsed * this.rate * this.scale;
+        }
+        return true;
+    }
+
+    /**
+     * Whether the animation time advances.
+     * @type {boolean}
+     */
+    get running() { return !this.paused && this.rate * this.scale > 0; }
+
+    /**
+     * Forgets the previous tick, so that the time until the next tick is not counted
+     * (e.g. after the rendering loop was stopped).
+     */
+    reset() {
+        this.lastRealTime = null;
+    }
+
+    /**
+     * Stops the animation time.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Continues the animation time.
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Changes how fast the animation time runs.
+     * @param {number} rate Animation milliseconds per real millisecond (1 is real time).
+     */
+    setRate(rate) {
+        if (!(rate >= 0) || !Number.isFinite(rate)) {
+            throw new RangeError(`Playback rate must be a non-negative number, got ${rate}`);
+        }
+        this.rate = rate;
+    }
+
+    /**
+     * Sets the animation time.
+     * @param {number} time Animation time in milliseconds.
+     */
+    seek(time) {
+        this.time = time;
+    }
+}
@@ -0,0 +1,351 @@
+"use strict";
+
+import { clamp, interpolate } from "./maths.js";
+
+export class Colour {
+    /**
+     * @param {number} r Red.
+     * @param {number} g Green.
+     * @param {number} b Blue.
+     */
+    constructor(r, g, b) {
+        this.r = r;
+        this.g = g;
+        this.b = b;
+    }
+
+    toCSS() { return `rgb(${this.r}, ${this.g}, ${this.b})`; }
+    toCSSWithA(a) { return `rgba(${this.r}, ${this.g}, ${this.b}, ${a})`; }
+
+    /**
+     * @returns {string} Colour in the `#rrggbb` form.
+     */
+    toHex() {
+        const hex = x => Math.round(clamp(x, 0, 255)).toString(16).padStart(2, "0");
+        return `#${hex(this.r)}${hex(this.g)}${hex(this.b)}`;
+    }
+
+    /**
+     * @returns {number[]} Hue in degrees, saturation and lightness in [0, 1] range.
+     */
+    toHSL() {
+        const r = this.r / 255;
+        const g = this.g / 255;
+        const b = this.b / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const chroma = max - min;
+        if (chroma === 0) {
+            return [0, 0, l];
+        }
+        const s = chroma / (1 - Math.abs(2 * l - 1));
+        const h =
+            max === r ? 60 * (((g - b) / chroma + 6) % 6) :
+            max === g ? 60 * ((b - r) / chroma + 2) :
+            60 * ((r - g) / chroma + 4);
+        return [h, s, l];
+    }
+
+    /**
+     * @returns {number[]} Channels in linear RGB in [0, 1] range.
+     */
+    toLinear() {
+        return [this.r, this.g, this.b].map(srgbToLinear);
+    }
+
+    /**
+     * @returns {number[]} L, a and b coordinates in the OKLab colour space.
+     */
+    toOklab() {
+        const [r, g, b] = this.toLinear();
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+        ];
+    }
+
+    /**
+     * Interpolation between this colour and the given other colour.
+     * @param {Colour} other Colour to interpolate with.
+     * @param {number} factor Interpolation factor in [0, 1] range (0=this colour, 1=the other colour).
+     * @param {"srgb" | "linear" | "hsl" | "oklab"} [space] Colour space in which is interpolated.
+     */
+    interpolate(other, factor, space = "srgb") {
+        switch (space) {
+            case "linear": {
+                const from = this.toLinear();
+                const to = other.toLinear();
+                return linearToColour(
+                    interpolate(from[0], to[0], factor),
+                    interpolate(from[1], to[1], factor),
+                    interpolate(from[2], to[2], factor));
+            }
+            case "hsl": {
+                const from = this.toHSL();
+                const to = other.toHSL();
+                // Achromatic colours have no meaningful hue, take the one of the other colour
+                if (from[1] === 0) { from[0] = to[0]; }
+                if (to[1] === 0) { to[0] = from[0]; }
+                // Interpolate hue along the shorter arc
+                let hueDistance = to[0] - from[0];
+                if (hueDistance > 180) { hueDistance -= 360; }
+                if (hueDistance < -180) { hueDistance += 360; }
+                return hslToColour(
+                    from[0] + factor * hueDistance,
+                    interpolate(from[1], to[1], factor),
+                    interpolate(from[2], to[2], factor));
+            }
+            case "oklab": {
+                const from = this.toOklab();
+                const to = other.toOklab();
+                return oklabToColour(
+                    interpolate(from[0], to[0], factor),
+                    interpolate(from[1], to[1], factor),
+                    interpolate(from[2], to[2], factor));
+            }
+            default:
+                return new Colour(
+                    interpolate(this.r, other.r, factor),
+                    interpolate(this.g, other.g, factor),
+                    interpolate(this.b, other.b, factor));
+        }
+    }
+}
+
+/**
+ * Colour spaces that are supported by `Colour.interpolate`.
+ */
+export const colourSpaces = ["srgb", "linear", "hsl", "oklab"];
+
+/**
+ * @param {number} c Channel of an sRGB colour in [0, 255] range.
+ * @returns {number} Linear channel in [0, 1] range.
+ */
+function srgbToLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * @param {number} c Linear channel in [0, 1] range.
+ * @returns {number} Channel of an sRGB colour in [0, 255] range.
+ */
+function linearToSrgb(c) {
+    c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return clamp(c * 255, 0, 255);
+}
+
+/**
+ * Converts a colour from the linear RGB colour space.
+ * @param {number} r Linear red in [0, 1] range.
+ * @param {number} g Linear green in [0, 1] range.
+ * @param {number} b Linear blue in [0, 1] range.
+ * @returns {Colour}
+ */
+export function linearToColour(r, g, b) {
+    return new Colour(linearToSrgb(r), linearToSrgb(g), linearToSrgb(b));
+}
+
+/**
+ * Converts a colour from the OKLab colour space. Colours outside of the sRGB gamut are clipped.
+ * @param {number} L Lightness.
+ * @param {number} a Green/red axis.
+ * @param {number} b Blue/yellow axis.
+ * @returns {Colour}
+ */
+export function oklabToColour(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return linearToColour(
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s);
+}
+
+/**
+ * Samples a colour of the given palette. The colours of the palette are spread
+ * evenly over the [0, 1] range and interpolated in between.
+ * @param {Colour[]} colours Colours of the palette.
+ * @param {number} position Position in [0, 1] range (0=first colour, 1=last colour).
+ * @param {"srgb" | "linear" | "hsl" | "oklab"} [space] Colour space in which is interpolated.
+ * @returns {Colour}
+ */
+export function samplePalette(colours, position, space = "srgb") {
+    const scaled = clamp(position, 0, 1) * (colours.length - 1);
+    const index = Math.min(Math.floor(scaled), colours.length - 2);
+    if (index < 0) {
+        return colours[0];
+    }
+    return colours[index].interpolate(colours[index + 1], scaled - index, space);
+}
+
+/**
+ * Blends two palettes, which may have different lengths. The shorter palette is sampled
+ * at the positions of the colours of the longer one.
+ * @param {Colour[]} from Palette at factor 0.
+ * @param {Colour[]} to Palette at factor 1.
+ * @param {number} factor Blend factor in [0, 1] range.
+ * @param {"srgb" | "linear" | "hsl" | "oklab"} [space] Colour space in which is interpolated.
+ * @returns {Colour[]}
+ */
+export function blendPalettes(from, to, factor, space = "srgb") {
+    const length = Math.max(from.length, to.length);
+    const colours = [];
+    for (let i = 0; i < length; ++i) {
+        const position = length > 1 ? i / (length - 1) : 0;
+        const fromColour = from.length === length ? from[i] : samplePalette(from, position, space);
+        const toColour = to.length === length ? to[i] : samplePalette(to, position, space);
+        colours.push(fromColour.interpolate(toColour, factor, space));
+    }
+    return colours;
+}
+
+/**
+ * Built-in palettes.
+ * @type {Map<string, Colour[]>}
+ */
+export const colourMap = new Map([
+    ["lgbtqia+", [
+        new Colour(255, 0, 24), // red
+        new Colour(255, 165, 44), // orange
+        new Colour(255, 255, 65), // yellow
+        new Colour(0, 128, 24), // green
+        new Colour(0, 0, 249), // blue
+        new Colour(134, 0, 125), // violet
+    ]],
+    ["aromantic", [
+        new Colour(58, 166, 63), // green
+        new Colour(168, 212, 122), // light green
+        new Colour(255, 255, 255), // white
+        new Colour(170, 170, 170), // gray
+        new Colour(0, 0, 0), // black
+    ]],
+    ["asexual", [
+        new Colour(0, 0, 0), // black
+        new Colour(164, 164, 164), // gray
+        new Colour(255, 255, 255), // white
+        new Colour(129, 0, 129), // violet
+    ]],
+    ["transgender", [
+        new Colour(85, 205, 252), // light blue
+        new Colour(247, 168, 184), // pink
+        new Colour(255, 255, 255), // white
+        new Colour(247, 168, 184), // pink
+        new Colour(85, 205, 252), // light blue
+    ]],
+    ["non-binary", [
+        new Colour(255, 244, 48), // yellow
+        new Colour(255, 255, 255), // white
+        new Colour(156, 89, 209), // violet
+        new Colour(0, 0, 0), // black
+    ]],
+    ["bisexual", [
+        new Colour(214, 2, 112), // purple
+        new Colour(155, 79, 150), // violet
+        new Colour(0, 56, 168), // blue
+    ]],
+    ["intersex", [
+        new Colour(255, 218, 0), // yellow
+        new Colour(122, 0, 172), // violet
+    ]],
+    ["pansexual", [
+        new Colour(255, 27, 141), // pink
+        new Colour(255, 218, 0), // yellow
+        new Colour(27, 179, 255), // light blue
+    ]],
+    ["lesbian", [
+        new Colour(214, 41, 0), // red
+        new Colour(255, 155, 85), // orange
+        new Colour(255, 255, 255), // white
+        new Colour(212, 97, 166), // pink
+        new Colour(165, 0, 98), // dark pink
+    ]],
+
+]);
+
+/**
+ * Parses a single component of an `rgb()` colour (number in [0, 255] or percentage).
+ * @param {string} text Component text.
+ */
+function parseRGBComponent(text) {
+    if (text.endsWith("%")) {
+        return clamp(parseFloat(text) * 2.55, 0, 255);
+    }
+    return clamp(parseFloat(text), 0, 255);
+}
+
+/**
+ * Converts a colour from the HSL colour space.
+ * @param {number} h Hue in degrees.
+ * @param {number} s Saturation in [0, 1] range.
+ * @param {number} l Lightness in [0, 1] range.
+ * @returns {Colour}
+ */
+export function hslToColour(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - chroma / 2;
+    const [r, g, b] =
+        h < 60 ? [chroma, x, 0] :
+        h < 120 ? [x, chroma, 0] :
+        h < 180 ? [0, chroma, x] :
+        h < 240 ? [0, x, chroma] :
+        h < 300 ? [x, 0, chroma] :
+        [chroma, 0, x];
+    return new Colour(
+        Math.round((r + m) * 255),
+        Math.round((g + m) * 255),
+        Math.round((b + m) * 255));
+}
+
+/**
+ * Parses a CSS like colour string into a colour.
+ * Supported forms are `#rgb`, `#rrggbb` (the `#` is optional), `rgb(r, g, b)` and `hsl(h, s%, l%)`.
+ * Alpha values (`#rrggbbaa`, `rgba()`, `hsla()`) are accepted but ignored.
+ * @param {string} text Colour string.
+ * @returns {Colour}
+ */
+export function parseColour(text) {
+    const value = text.trim().toLowerCase();
+
+    let match = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+    if (match !== null) {
+        let hex = match[1];
+        if (hex.length <= 4) {
+            hex = Array.from(hex).map(c => c + c).join("");
+        }
+        return new Colour(
+            parseInt(hex.substring(0, 2), 16),
+            parseInt(hex.substring(2, 4), 16),
+            parseInt(hex.substring(4, 6), 16));
+    }
+
+    match = /^(rgba?|hsla?)\((.*)\)$/.exec(value);
+    if (match !== null) {
+        const parts = match[2].split(/\s*[,\/]\s*|\s+/).filter(part => part !== "");
+        if (parts.length === 3 || parts.length === 4) {
+            if (match[1].startsWith("rgb")) {
+                const [r, g, b] = parts.map(parseRGBComponent);
+                if (![r, g, b].some(isNaN)) {
+                    return new Colour(r, g, b);
+                }
+            } else {
+                const h = parseFloat(parts[0]);
+                const s = clamp(parseFloat(parts[1]) / 100, 0, 1);
+                const l = clamp(parseFloat(parts[2]) / 100, 0, 1);
+                if (![h, s, l].some(isNaN)) {
+                    return hslToColour(h, s, l);
+                }
+            }
+        }
+    }
+
+    throw new SyntaxError(`Invalid colour "${text}"`);
+}
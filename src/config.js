@@ -0,0 +1,322 @@
+"use strict";
+
+import { Emitter } from "./emitter.js";
+import { colourSpaces } from "./colour.js";
+import { curveTypes } from "./bases.js";
+import { motionTypes } from "./motion.js";
+import { layoutTypes } from "./layout.js";
+
+/**
+ * @typedef {object} ConfigField
+ * @property {"number" | "integer" | "enum"} type Type the value is coerced to.
+ * @property {number} [min] Smallest allowed value (number and integer only).
+ * @property {number} [max] Largest allowed value (number and integer only).
+ * @property {string[]} [values] Allowed values (enum only).
+ * @property {number | string} default Default value.
+ * @property {string} description What the value controls.
+ */
+
+/**
+ * Schema of all configuration values.
+ * @type {Object<string, ConfigField>}
+ */
+export const configSchema = {
+    n: {
+        type: "integer", min: 1, max: 20, default: 12,
+        description: "Dimension of the bezier curves (number of control points - 1).",
+    },
+    newCurveMs: {
+        type: "number", min: 1, max: 5000, default: 800,
+        description: "How many milliseconds until a new curve is spawned.",
+    },
+    maxCurves: {
+        type: "integer", min: 2, max: 1000, default: 50,
+        description: "Amount of curves present at once.",
+    },
+    flatnessTolerance: {
+        type: "number", min: 0.05, max: 20, default: 0.25,
+        description: "Maximal distance in pixels between a drawn curve and its rendered line segments.",
+    },
+    curveAnimationSpeed: {
+        type: "number", min: 0, max: 0.2, default: 0.0001,
+        description: "Speed with which the curve points move on the [0, 1]^2 plane.",
+    },
+    maxSegmentPerPoint: {
+        type: "number", min: 0, max: 1, default: 0.3,
+        description: "Restrict movement per point further in the x direction.",
+    },
+    verticalCompression: {
+        type: "number", min: 0, max: 1, default: 0.35,
+        description: "How much the curve points are limited vertically.",
+    },
+    verticalSlideSpeed: {
+        type: "number", min: 0, max: 0.5, default: 0.01,
+        description: "Speed with which the curves slide upwards vertically.",
+    },
+    layout: {
+        type: "enum", values: layoutTypes, default: "horizontal",
+        description: "How the curve stack is arranged on the canvas: straight across in some direction or wrapped into loops (see `layouts`).",
+    },
+    anchorX: {
+        type: "number", min: 0, max: 1, default: 0.5,
+        description: "Horizontal position of the centre of the curve stack relative to the canvas width.",
+    },
+    anchorY: {
+        type: "number", min: 0, max: 1, default: 0.7,
+        description: "Vertical position of the centre of the curve stack relative to the canvas height.",
+    },
+    slideDirection: {
+        type: "enum", values: ["up", "down"], default: "up",
+        description: "Direction in which new curves push the stack. Vertical layouts slide \"up\" to the right and radial layouts inwards.",
+    },
+    radialRadius: {
+        type: "number", min: 0, max: 1, default: 0.6,
+        description: "Radius of the loops of the radial layout relative to half the smaller canvas side.",
+    },
+    curveType: {
+        type: "enum", values: curveTypes, default: "bezier",
+        description: "Basis which defines how the control points shape the curves (see `curveBases`).",
+    },
+    motionModel: {
+        type: "enum", values: motionTypes, default: "linear",
+        description: "How the control points move: straight at constant speed, eased, on a damped spring or drifting with noise (see `motionModels`).",
+    },
+    renderStyle: {
+        type: "enum", values: ["stroke", "ribbon", "both"], default: "stroke",
+        description: "Whether the curves are stroked, the bands between neighbouring curves are filled as ribbons or both.",
+    },
+    ribbonOpacity: {
+        type: "number", min: 0, max: 1, default: 0.5,
+        description: "Opacity of the ribbons between neighbouring curves.",
+    },
+    lineWidth: {
+        type: "number", min: 0.5, max: 20, default: 3,
+        description: "Width of the curve strokes in pixels.",
+    },
+    lineWidthVariation: {
+        type: "number", min: 0, max: 1, default: 0,
+        description: "How much the strokes taper towards both ends of the curves (0 = constant width).",
+    },
+    lineDash: {
+        type: "enum", values: ["solid", "dashed", "dotted"], default: "solid",
+        description: "Dash pattern of the curve strokes.",
+    },
+    glow: {
+        type: "number", min: 0, max: 50, default: 0,
+        description: "Blur radius in pixels of the glow around the curve strokes (0 = no glow).",
+    },
+    blendMode: {
+        type: "enum", values: ["source-over", "lighter", "screen", "multiply", "overlay", "difference"], default: "source-over",
+        description: "Canvas composite operation with which the curves are blended.",
+    },
+    cameraYaw: {
+        type: "number", min: -90, max: 90, default: 35,
+        description: "Rotation in degrees of the perspective camera around the vertical axis.",
+    },
+    cameraPitch: {
+        type: "number", min: -90, max: 90, default: 25,
+        description: "Rotation in degrees of the perspective camera around the horizontal axis.",
+    },
+    cameraSpin: {
+        type: "number", min: -45, max: 45, default: 0,
+        description: "Degrees per second the perspective camera turns around the vertical axis.",
+    },
+    cameraDistance: {
+        type: "number", min: 0.5, max: 10, default: 1.5,
+        description: "Distance of the perspective camera in canvas widths (smaller values exaggerate the perspective).",
+    },
+    depthSpread: {
+        type: "number", min: 0, max: 2, default: 0.8,
+        description: "Depth of the curve stack of the perspective animation in canvas widths.",
+    },
+    depthFog: {
+        type: "number", min: 0, max: 1, default: 0.7,
+        description: "How much distant curves of the perspective animation fade out.",
+    },
+    morphWanderMs: {
+        type: "number", min: 0, max: 60000, default: 2000,
+        description: "Milliseconds the curves of the morphing animation move freely before they settle into the target outline.",
+    },
+    morphTransitionMs: {
+        type: "number", min: 100, max: 20000, default: 2500,
+        description: "Milliseconds the curves of the morphing animation take to settle into the target outline and to leave it.",
+    },
+    morphHoldMs: {
+        type: "number", min: 0, max: 60000, default: 4000,
+        description: "Milliseconds the curves of the morphing animation hold the target outline.",
+    },
+    morphScale: {
+        type: "number", min: 0.1, max: 1, default: 0.7,
+        description: "Size of the target outline of the morphing animation relative to the canvas (it keeps its proportions).",
+    },
+    pointerMode: {
+        type: "enum", values: ["off", "attract", "repel"], default: "off",
+        description: "Whether control points near the mouse or touches are attracted, repelled or not influenced at all.",
+    },
+    pointerRadius: {
+        type: "number", min: 10, max: 1000, default: 150,
+        description: "Radius in pixels around a pointer in which control points are influenced.",
+    },
+    pointerStrength: {
+        type: "number", min: 0, max: 2, default: 0.6,
+        description: "How strongly pointers attract, repel and fling the control points.",
+    },
+    hoverHighlight: {
+        type: "enum", values: ["off", "thicker", "glow"], default: "thicker",
+        description: "How the curve under the mouse is highlighted: not at all, with a thicker stroke or with a glow.",
+    },
+    pickTolerance: {
+        type: "number", min: 0, max: 50, default: 6,
+        description: "Distance in pixels beside a curve within which the mouse still hovers or clicks it.",
+    },
+    colourSpace: {
+        type: "enum", values: colourSpaces, default: "srgb",
+        description: "Colour space in which palette colours are interpolated.",
+    },
+    gradientMode: {
+        type: "enum", values: ["bands", "stack", "along", "horizontal"], default: "bands",
+        description: "How palette colours are distributed: in bands from curve to curve, smoothly over the stack, along the length of each curve or across the horizontal axis.",
+    },
+    paletteTransition: {
+        type: "enum", values: ["instant", "crossfade", "sweep"], default: "crossfade",
+        description: "How the curves change to a newly selected palette: at once, by crossfading or in a sweep through the stack from the lowest curve upwards.",
+    },
+    paletteTransitionMs: {
+        type: "number", min: 0, max: 10000, default: 1000,
+        description: "How many milliseconds a palette transition takes.",
+    },
+    reducedMotion: {
+        type: "enum", values: ["still", "drift", "ignore"], default: "still",
+        description: "What is shown if the user prefers reduced motion: a still frame, a very slow drift or the normal animation.",
+    },
+    maxFps: {
+        type: "number", min: 0, max: 240, default: 0,
+        description: "Most frames per second that are drawn, which saves battery (0 draws every frame of the display).",
+    },
+    paletteCycleMs: {
+        type: "number", min: 0, max: 3600000, default: 0,
+        description: "How many milliseconds each palette is shown before the next one is selected automatically (0 disables the cycle).",
+    },
+};
+
+/**
+ * Coerces the given value to the type of the given configuration field and validates it.
+ * @param {string} key Name of the configuration field.
+ * @param {any} value Value to be coerced (e.g. a string from a slider).
+ * @returns {number | string} Coerced value.
+ */
+export function coerceConfigValue(key, value) {
+    const field = configSchema[key];
+    if (field === undefined) {
+        throw new Error(`Unknown configuration field "${key}"`);
+    }
+    if (field.type === "enum") {
+        const text = String(value).trim();
+        if (!field.values.includes(text)) {
+            throw new RangeError(`Configuration field "${key}" has to be one of ${field.values.join(", ")}, got "${value}"`);
+        }
+        return text;
+    }
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new TypeError(`Configuration field "${key}" expects ${field.type === "integer" ? "an integer" : "a number"}, got "${value}"`);
+    }
+    const coerced = field.type === "integer" ? Math.round(number) : number;
+    if (coerced < field.min || coerced > field.max) {
+        throw new RangeError(`Configuration field "${key}" has to be in [${field.min}, ${field.max}], got ${coerced}`);
+    }
+    return coerced;
+}
+
+/**
+ * Typed and validated configuration which emits a "change" event for every changed value.
+ * The event object has the form `{ key, value, previous }`.
+ */
+export class Config extends Emitter {
+    /**
+     * @param {Object<string, any>} [values] Initial values that override the defaults.
+     */
+    constructor(values = {}) {
+        super();
+        /**
+         * Current values. Read freely, but only change them through `set`.
+         * @type {Object<string, number | string>}
+         */
+        this.values = {};
+        for (const key of Object.keys(configSchema)) {
+            this.values[key] = configSchema[key].default;
+        }
+        for (const key of Object.keys(values)) {
+            if (values[key] !== undefined) {
+                this.values[key] = coerceConfigValue(key, values[key]);
+            }
+        }
+        this.updateDerivedValues();
+    }
+
+    /**
+     * Recalculates values that are derived from other values.
+     */
+    updateDerivedValues() {
+        this.values.squaredCurveAnimationSpeed = this.values.curveAnimationSpeed * this.values.curveAnimationSpeed;
+    }
+
+    /**
+     * @param {string} key Name of the configuration field.
+     * @returns {number | string}
+     */
+    get(key) {
+        if (configSchema[key] === undefined) {
+            throw new Error(`Unknown configuration field "${key}"`);
+        }
+        return this.values[key];
+    }
+
+    /**
+     * Coerces, validates and sets the given value.
+     * Emits a "change" event if the value changed.
+     * @param {string} key Name of the configuration field.
+     * @param {any} value New value.
+     * @returns {number | string} The coerced value.
+     */
+    set(key, value) {
+        const coerced = coerceConfigValue(key, value);
+        const previous = this.values[key];
+        if (coerced !== previous) {
+            this.values[key] = coerced;
+            this.updateDerivedValues();
+            this.emit("change", { key, value: coerced, previous });
+        }
+        return coerced;
+    }
+
+    /**
+     * Sets multiple values at once. All values are validated before any of them is set.
+     * @param {Object<string, any>} values Values to be set.
+     */
+    update(values) {
+        const keys = Object.keys(values);
+        keys.forEach(key => coerceConfigValue(key, values[key]));
+        keys.forEach(key => this.set(key, values[key]));
+    }
+
+    /**
+     * Resets the given field (or all fields) to the default value.
+     * @param {string} [key] Name of the configuration field.
+     */
+    reset(key) {
+        const keys = key === undefined ? Object.keys(configSchema) : [key];
+        keys.forEach(key => this.set(key, configSchema[key].default));
+    }
+
+    /**
+     * @returns {Object<string, number | string>} Plain copy of all configured values.
+     */
+    toJSON() {
+        const json = {};
+        for (const key of Object.keys(configSchema)) {
+            json[key] = this.values[key];
+        }
+        return json;
+    }
+}
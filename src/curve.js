@@ -0,0 +1,301 @@
+"use strict";
+
+import { AnimatedPoint } from "./point.js";
+import { bezierBasis } from "./bases.js";
+import { linearMotion } from "./motion.js";
+
+/**
+ * @typedef {import("./random.js").Random} Random
+ * @typedef {import("./bases.js").CurveBasis} CurveBasis
+ * @typedef {import("./motion.js").MotionModel} MotionModel
+ */
+
+/**
+ * Maximum recursion depth of the curve subdivision (at most 2^16 line segments per curve).
+ */
+const maxSubdivisionDepth = 16;
+
+/**
+ * Whether the (rational) bezier curve with the given control points deviates at most by the given
+ * tolerance from the straight line between its end points. The curve lies within the convex hull of
+ * its control points, so it suffices to check the distance of the control points to the chord.
+ * @param {Float64Array} xs Weighted x coordinates of the control points.
+ * @param {Float64Array} ys Weighted y coordinates of the control points.
+ * @param {Float64Array} ws Weights of the control points.
+ * @param {number} squaredTolerance Squared maximal distance.
+ */
+function isFlat(xs, ys, ws, squaredTolerance) {
+    const n = xs.length - 1;
+    const startX = xs[0] / ws[0];
+    const startY = ys[0] / ws[0];
+    const chordX = xs[n] / ws[n] - startX;
+    const chordY = ys[n] / ws[n] - startY;
+    const squaredChord = chordX * chordX + chordY * chordY;
+    for (let i = 1; i < n; ++i) {
+        let dx = xs[i] / ws[i] - startX;
+        let dy = ys[i] / ws[i] - startY;
+        if (squaredChord > 0) {
+            // Distance to the closest point on the chord
+            const t = Math.min(Math.max((dx * chordX + dy * chordY) / squaredChord, 0), 1);
+            dx -= t * chordX;
+            dy -= t * chordY;
+        }
+        if (dx * dx + dy * dy > squaredTolerance) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Recursively splits the (rational) bezier curve in half (de Casteljau in homogeneous coordinates)
+ * until each part is flat and appends the end point of every part to the polyline.
+ * @param {Float64Array} xs Weighted x coordinates of the control points.
+ * @param {Float64Array} ys Weighted y coordinates of the control points.
+ * @param {Float64Array} ws Weights of the control points.
+ * @param {number} squaredTolerance Squared maximal distance between curve and polyline.
+ * @param {number} depth Current recursion depth.
+ * @param {number[]} polyline Interleaved x and y coordinates of the resulting polyline.
+ */
+function subdivide(xs, ys, ws, squaredTolerance, depth, polyline) {
+    const n = xs.length - 1;
+    if (depth >= maxSubdivisionDepth || isFlat(xs, ys, ws, squaredTolerance)) {
+        polyline.push(xs[n] / ws[n], ys[n] / ws[n]);
+        return;
+    }
+    const leftXs = new Float64Array(n + 1);
+    const leftYs = new Float64Array(n + 1);
+    const leftWs = new Float64Array(n + 1);
+    const rightXs = Float64Array.from(xs);
+    const rightYs = Float64Array.from(ys);
+    const rightWs = Float64Array.from(ws);
+    for (let level = 0; level <= n; ++level) {
+        leftXs[level] = rightXs[0];
+        leftYs[level] = rightYs[0];
+        leftWs[level] = rightWs[0];
+        for (let i = 0; i < n - level; ++i) {
+            rightXs[i] = 0.5 * (rightXs[i] + rightXs[i + 1]);
+            rightYs[i] = 0.5 * (rightYs[i] + rightYs[i + 1]);
+            rightWs[i] = 0.5 * (rightWs[i] + rightWs[i + 1]);
+        }
+    }
+    // The last point of every level remains, which together form the right half
+    subdivide(leftXs, leftYs, leftWs, squaredTolerance, depth + 1, polyline);
+    subdivide(rightXs, rightYs, rightWs, squaredTolerance, depth + 1, polyline);
+}
+
+/**
+ * Flattens the given curve into a polyline in canvas coordinates.
+ * The curve is subdivided adaptively, so straight stretches use few and sharp bends use many segments.
+ * @param {Point[]} curve Curve to be flattened.
+ * @param {(x: number) => number} transformX Function used to transfrom [0, 1] range to x coordinate.
+ * @param {(y: number) => number} transformY Function used to transfrom [0, 1] range to y coordinate.
+ * @param {number} tolerance Maximal distance in pixels between the curve and the polyline.
+ * @param {CurveBasis} [basis] Basis which defines the shape of the curve.
+ * @returns {Float64Array} Interleaved x and y coordinates of the polyline.
+ */
+export function flattenCurve(curve, transformX, transformY, tolerance, basis = bezierBasis) {
+    const polyline = [];
+    for (const segment of basis.toSegments(curve)) {
+        // Bezier curves are invariant under affine transformations, so the control points are transformed first
+        const ws = Float64Array.from(segment.points, (point, i) => segment.weights ? segment.weights[i] : 1);
+        const xs = Float64Array.from(segment.points, (point, i) => transformX(point.x) * ws[i]);
+        const ys = Float64Array.from(segment.points, (point, i) => transformY(point.y) * ws[i]);
+        if (polyline.length === 0) {
+            polyline.push(xs[0] / ws[0], ys[0] / ws[0]);
+        }
+        subdivide(xs, ys, ws, tolerance * tolerance, 0, polyline);
+    }
+    return Float64Array.from(polyline);
+}
+
+/**
+ * Strokes the given polyline with the current stroke style.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the polyline on.
+ * @param {Float64Array | Float32Array} polyline Interleaved x and y coordinates.
+ */
+export function strokePolyline(ctx, polyline) {
+    ctx.beginPath();
+    ctx.moveTo(polyline[0], polyline[1]);
+    for (let k = 2; k < polyline.length; k += 2) {
+        ctx.lineTo(polyline[k], polyline[k + 1]);
+    }
+    ctx.stroke();
+    ctx.closePath();
+}
+
+/**
+ * Finds the point of the given polyline that is closest to the given point.
+ * @param {Float64Array | Float32Array} polyline Interleaved x and y coordinates.
+ * @param {number} x X coordinate of the point.
+ * @param {number} y Y coordinate of the point.
+ * @returns {{distance: number, segment: number, fraction: number}} Distance to the polyline and the
+ *     closest point as index of its segment and fraction along that segment.
+ */
+export function nearestOnPolyline(polyline, x, y) {
+    let best = { distance: Infinity, segment: 0, fraction: 0 };
+    if (polyline.length === 2) {
+        return { distance: Math.hypot(x - polyline[0], y - polyline[1]), segment: 0, fraction: 0 };
+    }
+    for (let k = 0; k + 3 < polyline.length; k += 2) {
+        const startX = polyline[k];
+        const startY = polyline[k + 1];
+        const dx = polyline[k + 2] - startX;
+        const dy = polyline[k + 3] - startY;
+        const squaredLength = dx * dx + dy * dy;
+        const fraction = squaredLength > 0 ?
+            Math.min(Math.max(((x - startX) * dx + (y - startY) * dy) / squaredLength, 0), 1) : 0;
+        const distance = Math.hypot(x - startX - fraction * dx, y - startY - fraction * dy);
+        if (distance < best.distance) {
+            best = { distance, segment: k / 2, fraction };
+        }
+    }
+    return best;
+}
+
+/**
+ * Renders the given curve to the main canvas. The control points can be shown with the `EditorOverlay`.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the curve on.
+ * @param {Point[]} curve Curve to be rendered.
+ * @param {(x: number) => number} transformX Function used to transfrom [0, 1] range to x coordinate.
+ * @param {(y: number) => number} transformY Function used to transfrom [0, 1] range to y coordinate.
+ * @param {number} tolerance Maximal distance in pixels between the curve and the rendered polyline.
+ * @param {CurveBasis} [basis] Basis which defines the shape of the curve.
+ */
+export function renderCurve(ctx, curve, transformX, transformY, tolerance, basis = bezierBasis) {
+    strokePolyline(ctx, flattenCurve(curve, transformX, transformY, tolerance, basis));
+}
+
+/**
+ * Amount of differently styled pieces of a curve rendered with `strokePolylineInChunks`.
+ */
+const gradientChunks = 32;
+
+/**
+ * Strokes the given polyline in pieces of equal length, whose style can change along the polyline.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the polyline on.
+ * @param {Float64Array | Float32Array} polyline Interleaved x and y coordinates.
+ * @param {(position: number) => void} styleChunk Sets the style of the piece at the given fraction of the polyline length.
+ */
+export function strokePolylineInChunks(ctx, polyline, styleChunk) {
+    const segments = polyline.length / 2 - 1;
+    const lengths = new Float64Array(segments + 1);
+    for (let k = 1; k <= segments; ++k) {
+        const dx = polyline[2 * k] - polyline[2 * k - 2];
+        const dy = polyline[2 * k + 1] - polyline[2 * k - 1];
+        lengths[k] = lengths[k - 1] + Math.sqrt(dx * dx + dy * dy);
+    }
+    const totalLength = lengths[segments] || 1;
+
+    // Stroke consecutive segments that fall into the same chunk as one path
+    let start = 0;
+    while (start < segments) {
+        const chunk = Math.min(Math.floor(gradientChunks * lengths[start] / totalLength), gradientChunks - 1);
+        let end = start + 1;
+        while (end < segments && Math.floor(gradientChunks * lengths[end] / totalLength) <= chunk) {
+            ++end;
+        }
+        styleChunk((chunk + 0.5) / gradientChunks);
+        strokePolyline(ctx, polyline.subarray(2 * start, 2 * end + 2));
+        start = end;
+    }
+}
+
+/**
+ * Strokes the given polyline with a stroke style that changes along the length of the polyline.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the polyline on.
+ * @param {Float64Array | Float32Array} polyline Interleaved x and y coordinates.
+ * @param {(position: number) => string} styleAt Stroke style at the given fraction of the polyline length.
+ */
+export function strokePolylineAlongGradient(ctx, polyline, styleAt) {
+    strokePolylineInChunks(ctx, polyline, position => { ctx.strokeStyle = styleAt(position); });
+}
+
+/**
+ * Fills the band between two polylines, which both run from left to right.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the band on.
+ * @param {Float64Array | Float32Array} upper Interleaved x and y coordinates of the upper polyline.
+ * @param {number} upperOffsetY Vertical offset of the upper polyline.
+ * @param {Float64Array | Float32Array} lower Interleaved x and y coordinates of the lower polyline.
+ * @param {number} lowerOffsetY Vertical offset of the lower polyline.
+ */
+export function fillBand(ctx, upper, upperOffsetY, lower, lowerOffsetY) {
+    ctx.beginPath();
+    ctx.moveTo(upper[0], upper[1] + upperOffsetY);
+    for (let k = 2; k < upper.length; k += 2) {
+        ctx.lineTo(upper[k], upper[k + 1] + upperOffsetY);
+    }
+    for (let k = lower.length - 2; k >= 0; k -= 2) {
+        ctx.lineTo(lower[k], lower[k + 1] + lowerOffsetY);
+    }
+    ctx.closePath();
+    ctx.fill();
+}
+
+/**
+ * Renders the given curve with a stroke style that changes along the length of the curve.
+ * @param {CanvasRenderingContext2D} ctx Canvas context to draw the curve on.
+ * @param {Point[]} curve Curve to be rendered.
+ * @param {(x: number) => number} transformX Function used to transfrom [0, 1] range to x coordinate.
+ * @param {(y: number) => number} transformY Function used to transfrom [0, 1] range to y coordinate.
+ * @param {number} tolerance Maximal distance in pixels between the curve and the rendered polyline.
+ * @param {(position: number) => string} styleAt Stroke style at the given fraction of the curve length.
+ * @param {CurveBasis} [basis] Basis which defines the shape of the curve.
+ */
+export function renderCurveAlongGradient(ctx, curve, transformX, transformY, tolerance, styleAt, basis = bezierBasis) {
+    strokePolylineAlongGradient(ctx, flattenCurve(curve, transformX, transformY, tolerance, basis), styleAt);
+}
+
+/**
+ * Animate the inner control points of the given curve. Pinned points keep their position.
+ * @param {AnimatedPoint[]} curve Curve to be animated.
+ * @param {number} timespan Milliseconds since the last update.
+ * @param {object} consts Animation constants of the owning instance.
+ * @param {Random} random Random number generator used to choose new targets.
+ * @param {MotionModel} [model] Motion model which moves the points.
+ * @param {number} [amplitude] Factor by which the points swing further away from the centre line (y = 0.5).
+ */
+export function animateCurve(curve, timespan, consts, random, model = linearMotion, amplitude = 1) {
+    const n = curve.length - 1;
+    for (let i = 1; i < n; ++i) {
+        const point = curve[i];
+        if (point.pinned) {
+            continue;
+        }
+        // The motion model continues from the unstretched position
+        point.y = 0.5 + (point.y - 0.5) / point.amplitude;
+        model.move(point, i, n, timespan, consts, random);
+        point.amplitude = amplitude;
+        point.y = 0.5 + (point.y - 0.5) * amplitude;
+    }
+}
+
+/**
+ * Creates curve with random points in the [0,1]x[0,1] plane sorted by their x coordinates.
+ * Additionally the points (-overshoot, 0.5) and (1 + overshoot, 0.5) are added to the front and resp. to the back.
+ * The inner points get random weights, which are used by rational curves.
+ * @param {number} n Dimension of the bezier curve (number control points - 1).
+ * @param {Random} random Random number generator used for the points.
+ * @param {number} [overshoot] How far the end points lie outside the [0, 1] range (0 closes radial loops).
+ * @returns {AnimatedPoint[]} Curve as an array of control points.
+ */
+export function createRandomCurve(n, random, overshoot = 0.1) {
+    const xs = [];
+    for (let i = 0; i < n - 1; ++i) {
+        xs.push(random.next());
+    }
+    xs.sort();
+
+    const curve = [];
+    curve.push(new AnimatedPoint(-overshoot, 0.5));
+    for (let i = 0; i < n - 1; ++i) {
+        curve.push(new AnimatedPoint(xs[i], random.next()));
+    }
+    curve.push(new AnimatedPoint(1 + overshoot, 0.5));
+
+    // Weights in [0.25, 4] range for rational curves
+    for (let i = 1; i < n; ++i) {
+        curve[i].w = Math.pow(4, 2 * random.next() - 1);
+    }
+    return curve;
+}
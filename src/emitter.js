@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ * Minimal event emitter that does not depend on the DOM.
+ */
+export class Emitter {
+    constructor() {
+        /**
+         * Registered listeners by event type.
+         * @type {Map<string, Function[]>}
+         */
+        this.listeners = new Map();
+    }
+
+    /**
+     * Registers a listener for the given event type.
+     * @param {string} type Event type.
+     * @param {Function} listener Callback that receives the event object.
+     * @returns {() => void} Function which removes the listener again.
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a previously registered listener.
+     * @param {string} type Event type.
+     * @param {Function} listener Listener to be removed.
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners === undefined) { return; }
+        const index = listeners.indexOf(listener);
+        if (index >= 0) { listeners.splice(index, 1); }
+    }
+
+    /**
+     * Calls all listeners of the given event type.
+     * @param {string} type Event type.
+     * @param {object} event Event object passed to the listeners.
+     */
+    emit(type, event) {
+        const listeners = this.listeners.get(type);
+        if (listeners === undefined) { return; }
+        for (const listener of listeners.slice()) {
+            listener(event);
+        }
+    }
+}
@@ -0,0 +1,124 @@
+"use strict";
+
+import { SvgContext } from "./svg.js";
+import { createLayer } from "./layer.js";
+import { BezierCurves } from "./bezier-curves.js";
+import { HeadlessCanvas } from "./headless.js";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ */
+
+/**
+ * Creates a headless copy of the given instance in its current state, which can be drawn and simulated ahead
+ * without touching the instance: no events reach its listeners and its palette transition, pointers and
+ * hovered curve stay as they are. The copy has no pointers and no hovered curve. It has to be destroyed after use.
+ * @param {BezierCurves} background Instance to copy.
+ * @returns {BezierCurves}
+ */
+function createCopy(background) {
+    const copy = new BezierCurves(new HeadlessCanvas(background.canvas.width, background.canvas.height), {
+        colourMap: background.colourMap, morphTarget: background.morphOutline, autoResize: false, observeVisibility: false,
+    });
+    copy.restore(background.snapshot());
+    // State which is not part of a snapshot
+    copy.vars.lastPaletteChange = background.vars.lastPaletteChange;
+    copy.paletteTransition = background.paletteTransition === null ? null : { ...background.paletteTransition };
+    copy.playlist = background.playlist === null ? null : { ...background.playlist };
+    copy.modulation = { ...background.modulation };
+    return copy;
+}
+
+/**
+ * Creates a vector image of the current frame of the given instance. The frame is drawn by the animation
+ * itself on an `SvgContext`, so it has the same curves, colours and transformations as on the canvas
+ * (without the hover highlight).
+ * @param {BezierCurves} background Instance to export.
+ * @param {object} [options] Export options.
+ * @param {number} [options.width] Width of the image (defaults to the canvas width, the drawing is scaled).
+ * @param {number} [options.height] Height of the image (defaults to the canvas height, the drawing is scaled).
+ * @param {string} [options.backgroundColour] CSS colour behind the curves (transparent if omitted).
+ * @returns {string} SVG document.
+ */
+export function exportSvg(background, { width, height, backgroundColour } = {}) {
+    const copy = createCopy(background);
+    try {
+        const ctx = new SvgContext(background.canvas.width, background.canvas.height);
+        copy.animation.draw(ctx, copy.vars.lastFrame);
+        return ctx.toSvg({ width, height, background: backgroundColour });
+    } finally {
+        copy.destroy();
+    }
+}
+
+/**
+ * Creates a PNG image of the current frame of the given instance in any resolution.
+ * The vector image of `exportSvg` is rasterised, so the drawing keeps its proportions. Needs a browser.
+ * @param {BezierCurves} background Instance to export.
+ * @param {object} [options] Export options (see `exportSvg`).
+ * @param {number} [options.width] Width of the image in pixels.
+ * @param {number} [options.height] Height of the image in pixels.
+ * @param {string} [options.backgroundColour] CSS colour behind the curves (transparent if omitted).
+ * @returns {Promise<Blob>}
+ */
+export async function exportPng(background, {
+    width = background.canvas.width, height = background.canvas.height, backgroundColour,
+} = {}) {
+    const layer = typeof Image !== "undefined" ? createLayer(width, height) : null;
+    if (layer === null) {
+        throw new Error("Exporting PNG images needs a browser");
+    }
+    const svg = exportSvg(background, { width, height, backgroundColour });
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        layer.drawImage(image, 0, 0, width, height);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+    if (typeof layer.canvas.convertToBlob === "function") {
+        return layer.canvas.convertToBlob({ type: "image/png" });
+    }
+    return new Promise(resolve => layer.canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Records a stretch of the animation, starting at the current frame, as a self-contained animated SVG.
+ * The frames are shown in turns with a CSS animation and the recording loops forever.
+ * A copy of the instance is simulated ahead, so the instance itself is not changed
+ * (running crossfades end at once in the recording).
+ * @param {BezierCurves} background Instance to record.
+ * @param {object} [options] Recording options (see also `exportSvg`).
+ * @param {number} [options.duration] Milliseconds of animation time that are recorded.
+ * @param {number} [options.fps] Frames per second of the recording.
+ * @param {number} [options.width] Width of the image.
+ * @param {number} [options.height] Height of the image.
+ * @param {string} [options.backgroundColour] CSS colour behind the curves (transparent if omitted).
+ * @returns {string} SVG document.
+ */
+export function exportAnimatedSvg(background, { duration = 3000, fps = 15, width, height, backgroundColour } = {}) {
+    const copy = createCopy(background);
+    const ctx = new SvgContext(background.canvas.width, background.canvas.height);
+    const count = Math.max(Math.round(duration / 1000 * fps), 1);
+    const interval = duration / count;
+    const start = copy.vars.lastFrame;
+    const frames = [];
+    try {
+        for (let i = 0; i < count; ++i) {
+            const time = start + i * interval;
+            copy.advanceTo(time);
+            copy.updateFrame(time);
+            copy.animation.draw(ctx, time);
+            frames.push(`<g class="frame" style="animation-delay:${Math.round(i * interval)}ms">${ctx.elements.join("")}</g>`);
+        }
+    } finally {
+        copy.destroy();
+    }
+
+    // Every frame is visible for its share of the loop
+    const style = `.frame{visibility:hidden;animation:frame ${Math.round(duration)}ms linear infinite}` +
+        `@keyframes frame{0%{visibility:visible}${(100 / count).toFixed(4)}%{visibility:hidden}}`;
+    return ctx.toSvg({ width, height, background: backgroundColour, content: frames.join(""), style });
+}
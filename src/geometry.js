@@ -0,0 +1,399 @@
+"use strict";
+
+/*
+ * Geometry of bezier curves given by their control polygon (`Point[]`, degree = number of points - 1).
+ * This module does not depend on the DOM and can be used in Node.
+ */
+
+import { Point } from "./point.js";
+
+/**
+ * Nodes and weights of the 8 point Gauss-Legendre quadrature on [-1, 1].
+ */
+const gaussNodes = [
+    -0.9602898564975363, -0.7966664774136267, -0.5255324099163290, -0.1834346424956498,
+    0.1834346424956498, 0.5255324099163290, 0.7966664774136267, 0.9602898564975363,
+];
+const gaussWeights = [
+    0.1012285362903763, 0.2223810344533745, 0.3137066458778873, 0.3626837833783620,
+    0.3626837833783620, 0.3137066458778873, 0.2223810344533745, 0.1012285362903763,
+];
+
+/**
+ * Amount of intervals over which the arc length quadrature is summed up.
+ */
+const arcLengthIntervals = 16;
+
+/**
+ * Evaluates the curve at the given parameter (de Casteljau).
+ * @param {Point[]} points Control polygon.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @returns {Point}
+ */
+export function evaluate(points, t) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    for (let level = points.length - 1; level > 0; --level) {
+        for (let i = 0; i < level; ++i) {
+            xs[i] += t * (xs[i + 1] - xs[i]);
+            ys[i] += t * (ys[i + 1] - ys[i]);
+        }
+    }
+    return new Point(xs[0], ys[0]);
+}
+
+/**
+ * Calculates the control polygon of the derivative (hodograph) of the curve.
+ * @param {Point[]} points Control polygon of degree n.
+ * @returns {Point[]} Control polygon of degree n - 1 (a single zero point for constant curves).
+ */
+export function derivative(points) {
+    const n = points.length - 1;
+    if (n === 0) {
+        return [new Point(0, 0)];
+    }
+    const result = [];
+    for (let i = 0; i < n; ++i) {
+        result.push(new Point(n * (points[i + 1].x - points[i].x), n * (points[i + 1].y - points[i].y)));
+    }
+    return result;
+}
+
+/**
+ * Evaluates a derivative of the curve at the given parameter.
+ * @param {Point[]} points Control polygon.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @param {number} [order] Order of the derivative.
+ * @returns {Point}
+ */
+export function derivativeAt(points, t, order = 1) {
+    let hodograph = points;
+    for (let i = 0; i < order; ++i) {
+        hodograph = derivative(hodograph);
+    }
+    return evaluate(hodograph, t);
+}
+
+/**
+ * Calculates the unit tangent of the curve at the given parameter.
+ * If the first derivative vanishes (e.g. coinciding control points at an end),
+ * the direction of the first non-vanishing higher derivative is used.
+ * @param {Point[]} points Control polygon.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @returns {Point} Unit vector (zero vector for curves that collapse to a point).
+ */
+export function tangent(points, t) {
+    let hodograph = points;
+    for (let order = 1; order < points.length; ++order) {
+        hodograph = derivative(hodograph);
+        const direction = evaluate(hodograph, t);
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+        if (length > 1e-12) {
+            return new Point(direction.x / length, direction.y / length);
+        }
+    }
+    return new Point(0, 0);
+}
+
+/**
+ * Calculates the unit normal of the curve at the given parameter.
+ * The normal is the tangent rotated by 90 degrees counter-clockwise (in a y-up coordinate system).
+ * @param {Point[]} points Control polygon.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @returns {Point}
+ */
+export function normal(points, t) {
+    const direction = tangent(points, t);
+    return new Point(-direction.y, direction.x);
+}
+
+/**
+ * Splits the curve at the given parameter into two curves of the same degree (de Casteljau).
+ * @param {Point[]} points Control polygon.
+ * @param {number} t Curve parameter in [0, 1] range.
+ * @returns {Point[][]} Control polygons of the left ([0, t]) and the right ([t, 1]) part.
+ */
+export function split(points, t) {
+    const n = points.length - 1;
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const left = [];
+    const right = [];
+    for (let level = 0; level <= n; ++level) {
+        left.push(new Point(xs[0], ys[0]));
+        right.push(new Point(xs[n - level], ys[n - level]));
+        for (let i = 0; i < n - level; ++i) {
+            xs[i] += t * (xs[i + 1] - xs[i]);
+            ys[i] += t * (ys[i + 1] - ys[i]);
+        }
+    }
+    return [left, right.reverse()];
+}
+
+/**
+ * Calculates the arc length of the curve between the given parameters (Gauss-Legendre quadrature).
+ * @param {Point[]} points Control polygon.
+ * @param {number} [from] Start parameter.
+ * @param {number} [to] End parameter.
+ * @returns {number}
+ */
+export function arcLength(points, from = 0, to = 1) {
+    const hodograph = derivative(points);
+    const step = (to - from) / arcLengthIntervals;
+    let length = 0;
+    for (let interval = 0; interval < arcLengthIntervals; ++interval) {
+        const center = from + (interval + 0.5) * step;
+        for (let i = 0; i < gaussNodes.length; ++i) {
+            const speed = evaluate(hodograph, center + 0.5 * step * gaussNodes[i]);
+            length += 0.5 * step * gaussWeights[i] * Math.sqrt(speed.x * speed.x + speed.y * speed.y);
+        }
+    }
+    return length;
+}
+
+/**
+ * Creates an arc length parameterisation of the curve, which maps a fraction of the
+ * total arc length to the curve parameter at which that length is reached.
+ * Evaluating the curve at evenly spaced fractions yields evenly spaced points on the curve.
+ * @param {Point[]} points Control polygon.
+ * @param {number} [samples] Amount of samples of the lookup table.
+ * @returns {{length: number, parameterAt: (fraction: number) => number}}
+ */
+export function arcLengthParameterisation(points, samples = 64) {
+    const hodograph = derivative(points);
+    const lengths = [0];
+    for (let i = 1; i <= samples; ++i) {
+        lengths.push(lengths[i - 1] + arcLength(points, (i - 1) / samples, i / samples));
+    }
+    const totalLength = lengths[samples];
+
+    function parameterAt(fraction) {
+        const target = Math.min(Math.max(fraction, 0), 1) * totalLength;
+        // Find the sample interval with binary search
+        let low = 0;
+        let high = samples;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (lengths[middle] < target) { low = middle; } else { high = middle; }
+        }
+        const intervalLength = lengths[high] - lengths[low];
+        let t = (low + (intervalLength > 0 ? (target - lengths[low]) / intervalLength : 0)) / samples;
+        // Refine with Newton iterations within the interval
+        for (let iteration = 0; iteration < 4; ++iteration) {
+            const speed = evaluate(hodograph, t);
+            const norm = Math.sqrt(speed.x * speed.x + speed.y * speed.y);
+            if (norm < 1e-12) { break; }
+            const error = lengths[low] + arcLength(points, low / samples, t) - target;
+            t = Math.min(Math.max(t - error / norm, low / samples), high / samples);
+        }
+        return t;
+    }
+
+    return { length: totalLength, parameterAt };
+}
+
+/**
+ * Finds the parameters at which a polynomial in Bernstein form (on [from, to]) changes its sign.
+ * Uses the variation diminishing property: without sign changes in the coefficients there is no root.
+ * @param {number[]} coefficients Bernstein coefficients.
+ * @param {number} from Start of the parameter interval.
+ * @param {number} to End of the parameter interval.
+ * @param {number[]} roots Found roots are appended to this array.
+ */
+function findRoots(coefficients, from, to, roots) {
+    let signChanges = 0;
+    for (let i = 1; i < coefficients.length; ++i) {
+        if ((coefficients[i - 1] < 0) !== (coefficients[i] < 0)) { ++signChanges; }
+    }
+    if (signChanges === 0) {
+        return;
+    }
+    if (to - from < 1e-10) {
+        roots.push(0.5 * (from + to));
+        return;
+    }
+    // Split the polynomial in half (de Casteljau on the coefficients)
+    const n = coefficients.length - 1;
+    const values = coefficients.slice();
+    const left = [];
+    const right = [];
+    for (let level = 0; level <= n; ++level) {
+        left.push(values[0]);
+        right.push(values[n - level]);
+        for (let i = 0; i < n - level; ++i) {
+            values[i] = 0.5 * (values[i] + values[i + 1]);
+        }
+    }
+    const middle = 0.5 * (from + to);
+    findRoots(left, from, middle, roots);
+    findRoots(right.reverse(), middle, to, roots);
+}
+
+/**
+ * Calculates the tight axis aligned bounding box of the curve (not just of its control polygon).
+ * @param {Point[]} points Control polygon.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function boundingBox(points) {
+    const hodograph = derivative(points);
+    const parameters = [0, 1];
+    findRoots(hodograph.map(point => point.x), 0, 1, parameters);
+    findRoots(hodograph.map(point => point.y), 0, 1, parameters);
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const t of parameters) {
+        const point = evaluate(points, t);
+        box.minX = Math.min(box.minX, point.x);
+        box.minY = Math.min(box.minY, point.y);
+        box.maxX = Math.max(box.maxX, point.x);
+        box.maxY = Math.max(box.maxY, point.y);
+    }
+    return box;
+}
+
+/**
+ * Finds the point on the curve closest to the given point.
+ * The curve is sampled coarsely and the best candidates are refined with Newton iterations.
+ * @param {Point[]} points Control polygon.
+ * @param {{x: number, y: number}} target Point to which the distance is measured.
+ * @param {number} [samples] Amount of coarse samples.
+ * @returns {{t: number, point: Point, distance: number}}
+ */
+export function nearestPoint(points, target, samples = 8 * points.length) {
+    const first = derivative(points);
+    const second = derivative(first);
+    let best = { t: 0, point: evaluate(points, 0), distance: Infinity };
+    for (let k = 0; k <= samples; ++k) {
+        let t = k / samples;
+        // Newton iterations on the derivative of the squared distance
+        for (let iteration = 0; iteration < 8; ++iteration) {
+            const point = evaluate(points, t);
+            const d1 = evaluate(first, t);
+            const d2 = evaluate(second, t);
+            const dx = point.x - target.x;
+            const dy = point.y - target.y;
+            const numerator = dx * d1.x + dy * d1.y;
+            const denominator = d1.x * d1.x + d1.y * d1.y + dx * d2.x + dy * d2.y;
+            if (denominator === 0) { break; }
+            const next = Math.min(Math.max(t - numerator / denominator, 0), 1);
+            if (Math.abs(next - t) < 1e-12) { t = next; break; }
+            t = next;
+        }
+        const point = evaluate(points, t);
+        const distance = Math.sqrt((point.x - target.x) * (point.x - target.x) + (point.y - target.y) * (point.y - target.y));
+        if (distance < best.distance) {
+            best = { t, point, distance };
+        }
+    }
+    return best;
+}
+
+/**
+ * Raises the degree of the curve by one without changing its shape.
+ * @param {Point[]} points Control polygon of degree n.
+ * @returns {Point[]} Control polygon of degree n + 1.
+ */
+export function elevate(points) {
+    const n = points.length - 1;
+    const result = [new Point(points[0].x, points[0].y)];
+    for (let i = 1; i <= n; ++i) {
+        const factor = i / (n + 1);
+        result.push(new Point(
+            factor * points[i - 1].x + (1 - factor) * points[i].x,
+            factor * points[i - 1].y + (1 - factor) * points[i].y));
+    }
+    result.push(new Point(points[n].x, points[n].y));
+    return result;
+}
+
+/**
+ * Solves the linear equation system `matrix * x = vector` (Gaussian elimination with partial pivoting).
+ * @param {number[][]} matrix Square matrix (is modified).
+ * @param {number[]} vector Right hand side (is modified).
+ * @returns {number[]}
+ */
+function solve(matrix, vector) {
+    const size = vector.length;
+    for (let column = 0; column < size; ++column) {
+        let pivot = column;
+        for (let row = column + 1; row < size; ++row) {
+            if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) { pivot = row; }
+        }
+        [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+        [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+        for (let row = column + 1; row < size; ++row) {
+            const factor = matrix[row][column] / matrix[column][column];
+            for (let k = column; k < size; ++k) {
+                matrix[row][k] -= factor * matrix[column][k];
+            }
+            vector[row] -= factor * vector[column];
+        }
+    }
+    const result = new Array(size);
+    for (let row = size - 1; row >= 0; --row) {
+        let sum = vector[row];
+        for (let k = row + 1; k < size; ++k) {
+            sum -= matrix[row][k] * result[k];
+        }
+        result[row] = sum / matrix[row][row];
+    }
+    return result;
+}
+
+/**
+ * Lowers the degree of the curve by one. The end points are kept and the inner control points
+ * are chosen such that elevating the result again is as close as possible (least squares) to the
+ * given control polygon. Curves that were elevated before are reduced exactly.
+ * @param {Point[]} points Control polygon of degree n (n >= 2).
+ * @returns {Point[]} Control polygon of degree n - 1.
+ */
+export function reduce(points) {
+    const n = points.length - 1;
+    if (n < 2) {
+        throw new RangeError("Only curves of degree 2 or higher can be reduced");
+    }
+    const m = n - 1;
+    // Elevation matrix rows: P_i = (i / n) * Q_(i-1) + (1 - i / n) * Q_i
+    const elevation = [];
+    for (let i = 0; i <= n; ++i) {
+        const row = new Array(m + 1).fill(0);
+        if (i > 0) { row[i - 1] = i / n; }
+        if (i <= m) { row[i] = 1 - i / n; }
+        elevation.push(row);
+    }
+    const result = [new Point(points[0].x, points[0].y)];
+    const unknowns = m - 1;
+    if (unknowns > 0) {
+        // Normal equations for the inner points, with the fixed end points moved to the right hand side
+        const normalMatrix = [];
+        const rightX = [];
+        const rightY = [];
+        for (let a = 1; a <= unknowns; ++a) {
+            const row = [];
+            let sumX = 0;
+            let sumY = 0;
+            for (let i = 0; i <= n; ++i) {
+                const fixedX = elevation[i][0] * points[0].x + elevation[i][m] * points[n].x;
+                const fixedY = elevation[i][0] * points[0].y + elevation[i][m] * points[n].y;
+                sumX += elevation[i][a] * (points[i].x - fixedX);
+                sumY += elevation[i][a] * (points[i].y - fixedY);
+            }
+            for (let b = 1; b <= unknowns; ++b) {
+                let sum = 0;
+                for (let i = 0; i <= n; ++i) {
+                    sum += elevation[i][a] * elevation[i][b];
+                }
+                row.push(sum);
+            }
+            normalMatrix.push(row);
+            rightX.push(sumX);
+            rightY.push(sumY);
+        }
+        const xs = solve(normalMatrix.map(row => row.slice()), rightX);
+        const ys = solve(normalMatrix, rightY);
+        for (let i = 0; i < unknowns; ++i) {
+            result.push(new Point(xs[i], ys[i]));
+        }
+    }
+    result.push(new Point(points[n].x, points[n].y));
+    return result;
+}
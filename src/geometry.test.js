@@ -0,0 +1,116 @@
+"use strict";
+
+/*
+ * Tests of the geometry module, run with `node --test src/`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Point } from "./point.js";
+import {
+    evaluate, derivative, tangent, normal, split, arcLength, boundingBox, nearestPoint, elevate, reduce,
+} from "./geometry.js";
+
+/**
+ * Quarter of a circle with radius 1 approximated by a cubic curve.
+ */
+const kappa = 4 / 3 * (Math.SQRT2 - 1);
+const arc = [new Point(1, 0), new Point(1, kappa), new Point(kappa, 1), new Point(0, 1)];
+
+/**
+ * Symmetric arch whose apex lies between the control points.
+ */
+const arch = [new Point(0, 0), new Point(1, 2), new Point(2, 0)];
+
+/**
+ * Asserts that two numbers are equal up to the given tolerance.
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("evaluate returns the end points and the de Casteljau point", () => {
+    assert.deepEqual(evaluate(arch, 0), new Point(0, 0));
+    assert.deepEqual(evaluate(arch, 1), new Point(2, 0));
+    const middle = evaluate(arch, 0.5);
+    assertClose(middle.x, 1);
+    assertClose(middle.y, 1);
+});
+
+test("derivative, tangent and normal of an arch", () => {
+    const hodograph = derivative(arch);
+    assert.equal(hodograph.length, 2);
+    assertClose(hodograph[0].x, 2);
+    assertClose(hodograph[0].y, 4);
+    const apexTangent = tangent(arch, 0.5);
+    assertClose(apexTangent.x, 1);
+    assertClose(apexTangent.y, 0);
+    const apexNormal = normal(arch, 0.5);
+    assertClose(Math.abs(apexNormal.y), 1);
+    assertClose(apexNormal.x, 0);
+});
+
+test("split halves lie on the original curve", () => {
+    const [left, right] = split(arc, 0.3);
+    for (const t of [0, 0.25, 0.5, 1]) {
+        const onLeft = evaluate(left, t);
+        const expectedLeft = evaluate(arc, 0.3 * t);
+        assertClose(onLeft.x, expectedLeft.x);
+        assertClose(onLeft.y, expectedLeft.y);
+        const onRight = evaluate(right, t);
+        const expectedRight = evaluate(arc, 0.3 + 0.7 * t);
+        assertClose(onRight.x, expectedRight.x);
+        assertClose(onRight.y, expectedRight.y);
+    }
+});
+
+test("arc length of a straight line and of a quarter circle", () => {
+    assertClose(arcLength([new Point(0, 0), new Point(1, 1), new Point(3, 3)]), 3 * Math.SQRT2);
+    assertClose(arcLength(arc), Math.PI / 2, 1e-3);
+});
+
+test("boundingBox is tight around extrema between the control points", () => {
+    const box = boundingBox(arch);
+    assertClose(box.minX, 0);
+    assertClose(box.maxX, 2);
+    assertClose(box.minY, 0);
+    // The apex is at y = 1, below the middle control point at y = 2
+    assertClose(box.maxY, 1);
+
+    const loop = boundingBox([new Point(0, 0), new Point(3, 1), new Point(-1, 1), new Point(2, 0)]);
+    assert.ok(loop.minX > -1 && loop.maxX < 3);
+    assertClose(loop.maxY, 0.75);
+});
+
+test("nearestPoint finds the foot of the perpendicular", () => {
+    // Points outside the quarter circle are nearest to its radial projection
+    const target = { x: 2 * Math.cos(Math.PI / 5), y: 2 * Math.sin(Math.PI / 5) };
+    const nearest = nearestPoint(arc, target);
+    assertClose(Math.atan2(nearest.point.y, nearest.point.x), Math.PI / 5, 1e-3);
+    assertClose(nearest.distance, 1, 1e-3);
+    assertClose(nearest.distance, Math.hypot(nearest.point.x - target.x, nearest.point.y - target.y));
+});
+
+test("nearestPoint clamps to the end points", () => {
+    const nearest = nearestPoint(arch, { x: -3, y: -1 });
+    assert.equal(nearest.t, 0);
+    assertClose(nearest.distance, Math.hypot(3, 1));
+    assert.equal(nearestPoint(arch, { x: 1, y: 1 }).distance < 1e-9, true);
+});
+
+test("elevate keeps the shape and reduce undoes it", () => {
+    const elevated = elevate(arc);
+    assert.equal(elevated.length, arc.length + 1);
+    for (const t of [0.1, 0.5, 0.9]) {
+        const a = evaluate(arc, t);
+        const b = evaluate(elevated, t);
+        assertClose(a.x, b.x);
+        assertClose(a.y, b.y);
+    }
+    const reduced = reduce(elevated);
+    reduced.forEach((point, i) => {
+        assertClose(point.x, arc[i].x);
+        assertClose(point.y, arc[i].y);
+    });
+    assert.throws(() => reduce([new Point(0, 0), new Point(1, 1)]), RangeError);
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+import { BezierCurves } from "./bezier-curves.js";
+import { animations } from "./animation.js";
+import { SvgContext } from "./svg.js";
+
+/**
+ * Stand-in for a canvas element, which lets an instance run without a browser.
+ * It has a size and a recording context, but no events and no parent element.
+ */
+export class HeadlessCanvas {
+    /**
+     * @param {number} width Width in pixels.
+     * @param {number} height Height in pixels.
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.parentElement = null;
+        this.context = new SvgContext(width, height);
+        this.context.canvas = this;
+    }
+
+    getContext() {
+        return this.context;
+    }
+
+    addEventListener() { }
+
+    removeEventListener() { }
+}
+
+/**
+ * Renders a stretch of the animation offline, e.g. to produce the frames of a video.
+ * A new instance is created on a `HeadlessCanvas`, warmed up and then advanced with the fixed timestep of
+ * the warmup, so the same options always produce the same frames. No browser is needed.
+ * @param {object} options Rendering options.
+ * @param {number} options.width Width of the frames in pixels.
+ * @param {number} options.height Height of the frames in pixels.
+ * @param {number} [options.fps] Frames per second.
+ * @param {number} [options.duration] Milliseconds of animation time that are rendered.
+ * @param {number} [options.seed] Seed of the random number generator (random if omitted).
+ * @param {string} [options.mode] Name of the animation (see `animations`).
+ * @param {string} [options.palette] Name of the palette.
+ * @param {Object<string, any>} [options.consts] Overrides of the default configuration (see `configSchema`).
+ * @param {string | Float64Array[]} [options.morphTarget] Outline of the morphing animation (see `setMorphTarget`).
+ * @param {(import("./audio.js").Modulation & {time: number})[]} [options.audio]
+ *     Modulation of analysed audio that starts with the first frame (see `analyseAudioOffline`).
+ * @param {() => CanvasRenderingContext2D | SvgContext} [options.createContext]
+ *     Creates the context a frame is drawn on (defaults to a new `SvgContext` per frame).
+ * @param {(ctx: CanvasRenderingContext2D | SvgContext, index: number, time: number) => void | Promise<void>} onFrame
+ *     Called with every drawn frame, which is awaited before the next frame is drawn.
+ * @returns {Promise<number>} Seed the frames were rendered with.
+ */
+export async function renderFrames({
+    width, height, fps = 30, duration = 5000, seed, mode, palette, consts, morphTarget, audio,
+    createContext = () => new SvgContext(width, height),
+}, onFrame) {
+    if (!(width > 0 && height > 0 && fps > 0 && duration >= 0)) {
+        throw new RangeError(`Invalid frame size ${width}x${height}, frame rate ${fps} or duration ${duration}`);
+    }
+    if (mode !== undefined && !animations.has(mode)) {
+        throw new Error(`Unknown animation "${mode}"`);
+    }
+    const background = new BezierCurves(new HeadlessCanvas(width, height), {
+        seed, mode, palette, consts, morphTarget, autoResize: false, observeVisibility: false,
+    });
+    try {
+        if (palette !== undefined && background.paletteName !== palette) {
+            throw new Error(`Unknown palette "${palette}"`);
+        }
+        background.warmUp();
+        if (audio !== undefined) {
+            background.setAudioInput(audio);
+        }
+        const start = background.vars.lastFrame;
+        const count = Math.max(Math.round(duration / 1000 * fps), 1);
+        for (let index = 0; index < count; ++index) {
+            const time = start + index * 1000 / fps;
+            background.advanceTo(time);
+            background.updateFrame(time);
+            const ctx = createContext();
+            background.animation.draw(ctx, time);
+            await onFrame(ctx, index, time);
+        }
+        return background.seed;
+    } finally {
+        background.destroy();
+    }
+}
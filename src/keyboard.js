@@ -0,0 +1,116 @@
+"use strict";
+
+import { animationModes } from "./animation.js";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ */
+
+/**
+ * Slowest and fastest playback rate that can be reached with the keyboard.
+ */
+const minRate = 1 / 16;
+const maxRate = 16;
+
+/**
+ * Milliseconds the animation is moved by the arrow keys while holding shift.
+ */
+const seekDistance = 5000;
+
+/**
+ * Switches to the animation that is the given number of places away in `animationModes`.
+ * @param {BezierCurves} background Instance to control.
+ * @param {number} offset Places to move (negative values move backwards).
+ */
+function switchMode(background, offset) {
+    const count = animationModes.length;
+    const index = animationModes.indexOf(background.mode);
+    background.setAnimation(animationModes[(((index + offset) % count) + count) % count]);
+}
+
+/**
+ * Keyboard shortcuts and what they do.
+ * @type {{keys: string[], description: string, action: (background: BezierCurves, event: KeyboardEvent) => void}[]}
+ */
+export const keyboardShortcuts = [
+    {
+        keys: [" "],
+        description: "Pause or resume the animation",
+        action: background => background.togglePause(),
+    },
+    {
+        keys: ["ArrowRight"],
+        description: "Step one frame forwards (with shift: seek 5 seconds forwards)",
+        action: (background, event) => event.shiftKey ?
+            background.seek(background.vars.lastFrame + seekDistance) : background.step(1),
+    },
+    {
+        keys: ["ArrowLeft"],
+        description: "Step one frame backwards (with shift: seek 5 seconds backwards)",
+        action: (background, event) => event.shiftKey ?
+            background.seek(background.vars.lastFrame - seekDistance) : background.step(-1),
+    },
+    {
+        keys: ["+", "="],
+        description: "Play faster",
+        action: background => background.setPlaybackRate(Math.min(background.playbackRate * 2, maxRate)),
+    },
+    {
+        keys: ["-", "_"],
+        description: "Play slower",
+        action: background => background.setPlaybackRate(Math.max(background.playbackRate / 2, minRate)),
+    },
+    {
+        keys: ["0"],
+        description: "Play in real time",
+        action: background => background.setPlaybackRate(1),
+    },
+    {
+        keys: ["ArrowUp"],
+        description: "Next palette",
+        action: background => background.selectPalette(background.currentColoursIndex + 1),
+    },
+    {
+        keys: ["ArrowDown"],
+        description: "Previous palette",
+        action: background => background.selectPalette(background.currentColoursIndex - 1),
+    },
+    {
+        keys: ["m"],
+        description: "Next animation",
+        action: background => switchMode(background, 1),
+    },
+    {
+        keys: ["M"],
+        description: "Previous animation",
+        action: background => switchMode(background, -1),
+    },
+];
+
+/**
+ * Lets the keyboard control the given instance (see `keyboardShortcuts`).
+ * Keys typed into form fields and keys pressed with control, alt or meta are ignored.
+ * @param {BezierCurves} background Instance to control.
+ * @param {EventTarget} [target] Target whose key events are handled.
+ * @returns {() => void} Function which removes the shortcuts again.
+ */
+export function bindKeyboardShortcuts(background, target = window) {
+    function onKeyDown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+        const element = event.target;
+        if (element && (element.isContentEditable || ["INPUT", "SELECT", "TEXTAREA", "BUTTON"].includes(element.tagName))) {
+            return;
+        }
+        const shortcut = keyboardShortcuts.find(candidate => candidate.keys.includes(event.key));
+        if (shortcut === undefined) {
+            return;
+        }
+        // Keeps space and the arrow keys from scrolling the page
+        event.preventDefault();
+        shortcut.action(background, event);
+    }
+    target.addEventListener("keydown", onKeyDown);
+    return () => target.removeEventListener("keydown", onKeyDown);
+}
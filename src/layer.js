@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * Creates an offscreen drawing layer with the given size.
+ * Uses `OffscreenCanvas` where available and a detached canvas element otherwise.
+ * @param {number} width Width in pixels.
+ * @param {number} height Height in pixels.
+ * @returns {CanvasRenderingContext2D | null} Context of the layer or null if no canvas implementation is available.
+ */
+export function createLayer(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height).getContext("2d");
+    }
+    if (typeof document !== "undefined") {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas.getContext("2d");
+    }
+    return null;
+}
+
+/**
+ * Makes sure the given layer has the given size. Layers that do not exist yet are created.
+ * @param {CanvasRenderingContext2D | null} layer Existing layer or null.
+ * @param {number} width Width in pixels.
+ * @param {number} height Height in pixels.
+ * @returns {CanvasRenderingContext2D | null}
+ */
+export function resizeLayer(layer, width, height) {
+    if (layer === null) {
+        return createLayer(width, height);
+    }
+    if (layer.canvas.width !== width || layer.canvas.height !== height) {
+        layer.canvas.width = width;
+        layer.canvas.height = height;
+    }
+    return layer;
+}
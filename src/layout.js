@@ -0,0 +1,195 @@
+"use strict";
+
+/**
+ * Placement of the curve stack on a canvas of a given size. Curves are flattened in layout space,
+ * where a curve point (x, y) lies at (x * scaleX, y * scaleY + offset) and the offset of a curve
+ * moves it along the stack.
+ * @typedef {object} LayoutFrame
+ * @property {number} scaleX Length of a curve in layout space.
+ * @property {number} scaleY Height of the [0, 1] range of a curve in layout space.
+ * @property {number} step Offset between neighbouring curves of the stack (negative values slide "up").
+ * @property {boolean} affine Whether the layout is an affine transformation, which can be applied with `apply`.
+ * @property {(ctx: CanvasRenderingContext2D) => void} apply Transforms the canvas context from layout space to the canvas (affine layouts only).
+ * @property {(polyline: Float64Array | Float32Array, offset: number) => Float32Array} project
+ *     Maps a polyline from layout space to canvas coordinates.
+ * @property {(x: number, y: number) => number[]} toCanvas Maps a point from layout space to canvas coordinates.
+ * @property {(x: number, y: number) => number[]} fromCanvas Maps a point from canvas coordinates to layout space.
+ */
+
+/**
+ * Arrangement of the curve stack.
+ * @typedef {object} Layout
+ * @property {number} overshoot How far the end points of a curve lie outside the [0, 1] range.
+ * @property {(consts: object, width: number, height: number) => LayoutFrame} createFrame
+ *     Creates the placement on a canvas with the given size.
+ */
+
+/**
+ * Mapping from the [0, 1] range of a single curve to the canvas.
+ * @typedef {object} CurveSpace
+ * @property {(x: number, y: number) => number[]} toCanvas Maps a curve point to canvas coordinates.
+ * @property {(x: number, y: number) => number[]} fromCanvas Maps canvas coordinates to a curve point.
+ */
+
+/**
+ * Creates a layout whose curves run straight across the canvas in the given direction.
+ * The stack is centred on the configured anchor and slides perpendicular to the curves.
+ * @param {(width: number, height: number) => number} angleOf Angle of the curves in radians.
+ * @param {(width: number, height: number) => number} lengthOf Length of the curves in pixels.
+ * @param {(width: number, height: number) => number} thicknessOf Extent of the canvas perpendicular to the curves.
+ * @returns {Layout}
+ */
+function createLinearLayout(angleOf, lengthOf, thicknessOf) {
+    return {
+        overshoot: 0.1,
+        createFrame(consts, width, height) {
+            const angle = angleOf(width, height);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const length = lengthOf(width, height);
+            const thickness = thicknessOf(width, height);
+            const scaleY = consts.verticalCompression * thickness;
+            const anchorX = consts.anchorX * width;
+            const anchorY = consts.anchorY * height;
+            const toCanvas = (x, y) => {
+                const dx = x - 0.5 * length;
+                const dy = y - 0.5 * scaleY;
+                return [anchorX + cos * dx - sin * dy, anchorY + sin * dx + cos * dy];
+            };
+            return {
+                scaleX: length,
+                scaleY,
+                step: (consts.slideDirection === "down" ? 1 : -1) * consts.verticalSlideSpeed * thickness,
+                affine: true,
+                apply(ctx) {
+                    ctx.translate(anchorX, anchorY);
+                    ctx.rotate(angle);
+                    ctx.translate(-0.5 * length, -0.5 * scaleY);
+                },
+                project(polyline, offset) {
+                    const projected = new Float32Array(polyline.length);
+                    for (let k = 0; k < polyline.length; k += 2) {
+                        [projected[k], projected[k + 1]] = toCanvas(polyline[k], polyline[k + 1] + offset);
+                    }
+                    return projected;
+                },
+                toCanvas,
+                fromCanvas(x, y) {
+                    const dx = x - anchorX;
+                    const dy = y - anchorY;
+                    return [cos * dx + sin * dy + 0.5 * length, -sin * dx + cos * dy + 0.5 * scaleY];
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Curves run from left to right (the original layout).
+ * @type {Layout}
+ */
+export const horizontalLayout = createLinearLayout(() => 0, width => width, (width, height) => height);
+
+/**
+ * Curves run from top to bottom.
+ * @type {Layout}
+ */
+export const verticalLayout = createLinearLayout(() => 0.5 * Math.PI, (width, height) => height, width => width);
+
+/**
+ * Curves run from the bottom left to the top right corner.
+ * @type {Layout}
+ */
+export const diagonalLayout = createLinearLayout(
+    (width, height) => -Math.atan2(height, width),
+    (width, height) => Math.hypot(width, height),
+    (width, height) => 2 * width * height / Math.hypot(width, height));
+
+/**
+ * Largest angle in radians between two vertices of a polyline wrapped around the centre.
+ */
+const maxRadialStep = 0.05;
+
+/**
+ * Curves wrap into closed loops around the configured anchor. The x axis of a curve runs once
+ * around the circle and the stack slides inwards ("up") or outwards ("down").
+ * @type {Layout}
+ */
+export const radialLayout = {
+    overshoot: 0,
+    createFrame(consts, width, height) {
+        const halfSize = 0.5 * Math.min(width, height);
+        const radius = Math.max(consts.radialRadius * halfSize, 1);
+        const scaleY = consts.verticalCompression * halfSize;
+        const anchorX = consts.anchorX * width;
+        const anchorY = consts.anchorY * height;
+        const toCanvas = (x, y) => {
+            const angle = x / radius - 0.5 * Math.PI;
+            const distance = Math.max(radius + y - 0.5 * scaleY, 0);
+            return [anchorX + distance * Math.cos(angle), anchorY + distance * Math.sin(angle)];
+        };
+        return {
+            // One curve runs once around the circle
+            scaleX: 2 * Math.PI * radius,
+            scaleY,
+            step: (consts.slideDirection === "down" ? 1 : -1) * consts.verticalSlideSpeed * halfSize,
+            affine: false,
+            apply(ctx) { },
+            project(polyline, offset) {
+                const projected = toCanvas(polyline[0], polyline[1] + offset);
+                for (let k = 2; k < polyline.length; k += 2) {
+                    // Subdivide long segments, which turn into arcs around the centre
+                    const fromX = polyline[k - 2];
+                    const fromY = polyline[k - 1];
+                    const steps = Math.max(Math.ceil(Math.abs(polyline[k] - fromX) / radius / maxRadialStep), 1);
+                    for (let step = 1; step <= steps; ++step) {
+                        const factor = step / steps;
+                        projected.push(...toCanvas(
+                            fromX + factor * (polyline[k] - fromX),
+                            fromY + factor * (polyline[k + 1] - fromY) + offset));
+                    }
+                }
+                return Float32Array.from(projected);
+            },
+            toCanvas,
+            fromCanvas(x, y) {
+                const dx = x - anchorX;
+                const dy = y - anchorY;
+                let angle = Math.atan2(dy, dx) + 0.5 * Math.PI;
+                if (angle < 0) {
+                    angle += 2 * Math.PI;
+                }
+                return [angle * radius, Math.hypot(dx, dy) - radius + 0.5 * scaleY];
+            },
+        };
+    },
+};
+
+/**
+ * Registered layouts by name.
+ * @type {Map<string, Layout>}
+ */
+export const layouts = new Map([
+    ["horizontal", horizontalLayout],
+    ["vertical", verticalLayout],
+    ["diagonal", diagonalLayout],
+    ["radial", radialLayout],
+]);
+
+/**
+ * Names of all registered layouts (kept in sync with `layouts`).
+ * @type {string[]}
+ */
+export const layoutTypes = Array.from(layouts.keys());
+
+/**
+ * Registers an additional layout, which then can be selected with the `layout` configuration.
+ * @param {string} name Name of the layout.
+ * @param {Layout} layout Layout.
+ */
+export function registerLayout(name, layout) {
+    if (!layouts.has(name)) {
+        layoutTypes.push(name);
+    }
+    layouts.set(name, layout);
+}
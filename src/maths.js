@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Cache for faster binomial calculation, indexed by the dimension of the curve.
+ * Only the first half of each row of pascals triangle is stored.
+ * @type {Map<number, number[]>}
+ */
+const binomialCache = new Map();
+
+/**
+ * Calculates the (first half of the) row of pascals triangle for the given dimension.
+ * @param {number} n Dimension of the bezier curve.
+ * @returns {number[]}
+ */
+function calculateBinomials(n) {
+    let cache = [1];
+    let even = true;
+    for (let i = 1; i <= n; ++i) {
+        even = !even;
+        let cache2 = [1];
+        for (let j = 1; j < cache.length + (even ? 1 : 0); ++j) {
+            if (j !== cache.length) {
+                cache2.push(cache[j - 1] + cache[j]);
+            } else {
+                cache2.push(2 * cache[j - 1]);
+            }
+        }
+        cache = cache2;
+    }
+    return cache;
+}
+
+/**
+ * Returns the binomial lookup table for the given dimension.
+ * The table is calculated once and cached afterwards.
+ * @param {number} n Dimension of the bezier curve.
+ * @returns {number[]}
+ */
+export function getBinomials(n) {
+    let binomial = binomialCache.get(n);
+    if (binomial === undefined) {
+        binomial = calculateBinomials(n);
+        binomialCache.set(n, binomial);
+    }
+    return binomial;
+}
+
+/**
+ * Calculates n choose x.
+ * @param {number} n Dimension of the bezier curve.
+ * @param {number} x Binomial value to calculate (has to be integral).
+ */
+export function getNChooseX(n, x) {
+    if (x < 0 || x > n) { return 0; }
+    const binomial = getBinomials(n);
+    return 2 * x <= n ? binomial[x] : binomial[n - x];
+}
+
+/**
+ * Clamps the given number to given lower and upper bounds.
+ * @param {number} x Value to be clamped.
+ * @param {number} lower Lower bound.
+ * @param {number} upper Upper bound.
+ */
+export function clamp(x, lower, upper) {
+    return Math.min(Math.max(x, lower), upper);
+}
+
+/**
+ * Clamp the given value to a [0, 1] range.
+ * @param {number} x Value to be clamped.
+ */
+export function nclamp(x) {
+    return Math.min(Math.max(x, 0), 1);
+}
+
+/**
+ * Linear interpolation between the two given numbers.
+ * @param {number} x Interpolation number 1.
+ * @param {number} y Interpolation number 2.
+ * @param {number} factor Interpolation factor in [0, 1] range (0=x, 1=y).
+ */
+export function interpolate(x, y, factor) {
+    return x + factor * (y - x);
+}
@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+ * @typedef {import("./point.js").AnimatedPoint} AnimatedPoint
+ * @typedef {import("./random.js").Random} Random
+ */
+
+/**
+ * Model which defines how an inner control point of a curve moves over time.
+ * @typedef {object} MotionModel
+ * @property {(point: AnimatedPoint, i: number, n: number, timespan: number, consts: object, random: Random) => void} move
+ *     Moves the `i`-th of the `n + 1` control points by the given milliseconds.
+ */
+
+/**
+ * Chooses a new random target for the `i`-th control point. The x coordinate stays within
+ * the slice of the [0, 1] range that belongs to the point, so the points remain roughly sorted.
+ * @param {AnimatedPoint} point Point which gets the new target.
+ * @param {number} i Index of the point.
+ * @param {number} n Dimension of the curve (number of control points - 1).
+ * @param {object} consts Animation constants of the owning instance.
+ * @param {Random} random Random number generator used to choose the target.
+ */
+export function chooseTarget(point, i, n, consts, random) {
+    point.targetX = random.next() * consts.maxSegmentPerPoint + (i / n) * (1 - consts.maxSegmentPerPoint);
+    point.targetY = random.next();
+}
+
+/**
+ * Moves the point in a straight line at constant speed towards its target.
+ * @type {MotionModel}
+ */
+export const linearMotion = {
+    move(point, i, n, timespan, consts, random) {
+        const distanceX = point.targetX - point.x;
+        const distanceY = point.targetY - point.y;
+        const distance = Math.sqrt(distanceX * distanceX + distanceY * distanceY);
+        const step = consts.curveAnimationSpeed * timespan;
+        if (distance > step) {
+            point.x += distanceX / distance * step;
+            point.y += distanceY / distance * step;
+        } else {
+            point.x = point.targetX;
+            point.y = point.targetY;
+            chooseTarget(point, i, n, consts, random);
+        }
+    },
+};
+
+/**
+ * Tweens the point from where it started towards its target with a smoothstep curve,
+ * so it comes to rest at every target instead of turning sharply.
+ * The duration of a tween is the time the linear motion would take for the same distance.
+ * @type {MotionModel}
+ */
+export const easedMotion = {
+    move(point, i, n, timespan, consts, random) {
+        if (point.progress >= 1) {
+            point.startX = point.x;
+            point.startY = point.y;
+            point.progress = 0;
+            chooseTarget(point, i, n, consts, random);
+        }
+        const distanceX = point.targetX - point.startX;
+        const distanceY = point.targetY - point.startY;
+        const distance = Math.sqrt(distanceX * distanceX + distanceY * distanceY);
+        point.progress = distance > 0 ? Math.min(point.progress + consts.curveAnimationSpeed * timespan / distance, 1) : 1;
+        const eased = point.progress * point.progress * (3 - 2 * point.progress);
+        point.x = point.startX + eased * distanceX;
+        point.y = point.startY + eased * distanceY;
+    },
+};
+
+/**
+ * Longest time step of the spring integration in milliseconds. Faster springs use shorter steps to stay stable.
+ */
+const maxSpringStep = 16;
+
+/**
+ * Distance to the target at which a point on a spring gets a new target.
+ */
+const springRetargetDistance = 0.05;
+
+/**
+ * Pulls the point towards its target with a damped spring. The point gets a new target shortly before
+ * reaching the current one, so it keeps its momentum and follows smooth arcs.
+ * The natural frequency of the spring grows with the animation speed.
+ * @type {MotionModel}
+ */
+export const springMotion = {
+    move(point, i, n, timespan, consts, random) {
+        const frequency = 20 * consts.curveAnimationSpeed;
+        const stiffness = frequency * frequency;
+        const damping = 2 * 0.6 * frequency;
+        const maxStep = Math.min(maxSpringStep, 0.5 / frequency);
+        for (let remaining = timespan; remaining > 0; remaining -= maxStep) {
+            const step = Math.min(remaining, maxStep);
+            // Semi-implicit euler integration
+            point.velocityX += (stiffness * (point.targetX - point.x) - damping * point.velocityX) * step;
+            point.velocityY += (stiffness * (point.targetY - point.y) - damping * point.velocityY) * step;
+            point.x += point.velocityX * step;
+            point.y += point.velocityY * step;
+        }
+        const distanceX = point.targetX - point.x;
+        const distanceY = point.targetY - point.y;
+        if (distanceX * distanceX + distanceY * distanceY < springRetargetDistance * springRetargetDistance) {
+            chooseTarget(point, i, n, consts, random);
+        }
+    },
+};
+
+/**
+ * Pseudo random gradient in [-1, 1] range of the given lattice point.
+ * @param {number} lattice Integer coordinate.
+ */
+function gradientAt(lattice) {
+    let hash = Math.imul(lattice ^ 0x5bd1e995, 0x27d4eb2d);
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    return (hash >>> 0) / 2147483647.5 - 1;
+}
+
+/**
+ * One dimensional gradient (Perlin) noise with values in about [-0.5, 0.5] range.
+ * @param {number} t Coordinate.
+ */
+export function noise(t) {
+    const lattice = Math.floor(t);
+    const local = t - lattice;
+    const fade = local * local * local * (local * (local * 6 - 15) + 10);
+    const left = gradientAt(lattice) * local;
+    const right = gradientAt(lattice + 1) * (local - 1);
+    return left + fade * (right - left);
+}
+
+/**
+ * Time constant in milliseconds with which a drifting point follows its noise position.
+ */
+const driftSmoothing = 200;
+
+/**
+ * Lets the point drift along a smooth noise path within its slice of the [0, 1] range.
+ * Every point samples the noise at its own random offset, so the points move independently.
+ * @type {MotionModel}
+ */
+export const noiseMotion = {
+    move(point, i, n, timespan, consts, random) {
+        if (point.noiseX === null) {
+            point.noiseX = random.next() * 1000;
+            point.noiseY = random.next() * 1000;
+        }
+        const advance = 5 * consts.curveAnimationSpeed * timespan;
+        point.noiseX += advance;
+        point.noiseY += advance;
+        const segment = consts.maxSegmentPerPoint;
+        const driftX = (i / n) * (1 - segment) + segment * (0.5 + noise(point.noiseX));
+        const driftY = 0.5 + noise(point.noiseY);
+        // Follow the noise position smoothly, so switching from another model does not make the point jump
+        const factor = 1 - Math.exp(-timespan / driftSmoothing);
+        point.x += (driftX - point.x) * factor;
+        point.y += (driftY - point.y) * factor;
+    },
+};
+
+/**
+ * Registered motion models by name.
+ * @type {Map<string, MotionModel>}
+ */
+export const motionModels = new Map([
+    ["linear", linearMotion],
+    ["eased", easedMotion],
+    ["spring", springMotion],
+    ["noise", noiseMotion],
+]);
+
+/**
+ * Names of all registered motion models (kept in sync with `motionModels`).
+ * @type {string[]}
+ */
+export const motionTypes = Array.from(motionModels.keys());
+
+/**
+ * Registers an additional motion model, which then can be selected with the `motionModel` configuration.
+ * @param {string} name Name of the motion model.
+ * @param {MotionModel} model Motion model.
+ */
+export function registerMotionModel(name, model) {
+    if (!motionModels.has(name)) {
+        motionTypes.push(name);
+    }
+    motionModels.set(name, model);
+}
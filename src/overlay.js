@@ -0,0 +1,320 @@
+"use strict";
+
+import { constructCurve } from "./bases.js";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ * @typedef {import("./point.js").AnimatedPoint} AnimatedPoint
+ */
+
+/**
+ * Distance in pixels within which a control point can be grabbed.
+ */
+const grabRadius = 12;
+
+/**
+ * Milliseconds the animated de Casteljau construction takes to sweep over the curve and back.
+ */
+const sweepPeriod = 6000;
+
+/**
+ * Editor and debug overlay, which shows the control polygons of the animated curves,
+ * lets control points be pinned by dragging them and shows frame statistics.
+ * Double click or right click a pinned point to release it back to the animation.
+ */
+export class EditorOverlay {
+    /**
+     * @param {BezierCurves} owner Instance whose curves are shown and edited.
+     * @param {object} [options] Overlay options.
+     * @param {number | null} [options.construction] Parameter at which the de Casteljau construction is shown (null hides it).
+     * @param {boolean} [options.sweep] Whether the construction sweeps over the whole curve instead.
+     * @param {boolean} [options.stats] Whether frames per second and render time are shown.
+     */
+    constructor(owner, options = {}) {
+        this.owner = owner;
+
+        /**
+         * Parameter at which the de Casteljau construction is shown (null hides it).
+         * @type {number | null}
+         */
+        this.construction = options.construction === undefined ? null : options.construction;
+
+        /**
+         * Whether the construction sweeps over the whole curve instead of staying at `construction`.
+         */
+        this.sweep = options.sweep === true;
+
+        /**
+         * Whether frames per second and render time are shown.
+         */
+        this.stats = options.stats !== false;
+
+        /**
+         * Smoothed frame statistics in milliseconds.
+         */
+        this.frameTimes = { lastTimestamp: 0, interval: 0, render: 0 };
+
+        /**
+         * Point which is being dragged and the pointer dragging it (null if there is none).
+         * @type {{point: AnimatedPoint, offsetY: number, pointerId: number} | null}
+         */
+        this.drag = null;
+
+        /**
+         * Whether a point was dragged since the last click, which suppresses the click.
+         */
+        this.dragged = false;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onRelease = this.onRelease.bind(this);
+
+        // Capture, so that grabbing a point does not also change the palette or attract the curves
+        const canvas = owner.canvas;
+        canvas.addEventListener("pointerdown", this.onPointerDown, true);
+        canvas.addEventListener("pointermove", this.onPointerMove, true);
+        canvas.addEventListener("pointerup", this.onPointerUp, true);
+        canvas.addEventListener("pointercancel", this.onPointerUp, true);
+        canvas.addEventListener("click", this.onClick, true);
+        canvas.addEventListener("dblclick", this.onRelease, true);
+        canvas.addEventListener("contextmenu", this.onRelease, true);
+    }
+
+    /**
+     * Removes the event listeners of the overlay. Pinned points stay pinned.
+     */
+    destroy() {
+        const canvas = this.owner.canvas;
+        canvas.removeEventListener("pointerdown", this.onPointerDown, true);
+        canvas.removeEventListener("pointermove", this.onPointerMove, true);
+        canvas.removeEventListener("pointerup", this.onPointerUp, true);
+        canvas.removeEventListener("pointercancel", this.onPointerUp, true);
+        canvas.removeEventListener("click", this.onClick, true);
+        canvas.removeEventListener("dblclick", this.onRelease, true);
+        canvas.removeEventListener("contextmenu", this.onRelease, true);
+    }
+
+    /**
+     * Releases all pinned points of the current animation.
+     */
+    releaseAll() {
+        for (const { curve } of this.owner.animation.getKeyCurves()) {
+            for (const point of curve) {
+                if (point.pinned) {
+                    point.release();
+                }
+            }
+        }
+    }
+
+    /**
+     * Records the statistics of a rendered frame.
+     * @param {number} timestamp Real time of the frame in milliseconds (not the animation time).
+     * @param {number} renderTime Milliseconds it took to update and draw the frame.
+     */
+    recordFrame(timestamp, renderTime) {
+        const times = this.frameTimes;
+        const interval = timestamp - times.lastTimestamp;
+        times.lastTimestamp = timestamp;
+        if (interval <= 0 || interval > 1000) {
+            return;
+        }
+        // Exponential moving averages keep the numbers readable
+        times.interval = times.interval === 0 ? interval : 0.95 * times.interval + 0.05 * interval;
+        times.render = times.render === 0 ? renderTime : 0.95 * times.render + 0.05 * renderTime;
+    }
+
+    /**
+     * Draws the overlay on top of the animation.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {number} timestamp Time at which the function was called.
+     */
+    draw(ctx, timestamp) {
+        const animation = this.owner.animation;
+        // Control points of animations which are not drawn flat cannot be located on the canvas
+        const keyCurves = animation.flat ? animation.getKeyCurves() : [];
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+        for (const { curve, offsetY } of keyCurves) {
+            const space = animation.getCurveSpace(offsetY);
+            this.drawPolygon(ctx, curve, space);
+
+            // Control points, pinned ones are filled
+            for (let i = 1; i < curve.length - 1; ++i) {
+                const [x, y] = space.toCanvas(curve[i].x, curve[i].y);
+                ctx.beginPath();
+                ctx.arc(x, y, 4, 0, 2 * Math.PI);
+                if (curve[i].pinned) {
+                    ctx.fill();
+                } else {
+                    ctx.stroke();
+                }
+            }
+        }
+
+        // The construction is shown for the lowest curve, which is the main curve of the sliding animation
+        if ((this.construction !== null || this.sweep) && keyCurves.length > 0) {
+            const { curve, offsetY } = keyCurves[keyCurves.length - 1];
+            const t = this.sweep ? 0.5 - 0.5 * Math.cos(2 * Math.PI * timestamp / sweepPeriod) : this.construction;
+            this.drawConstruction(ctx, constructCurve(curve, t, this.owner.basis), animation.getCurveSpace(offsetY));
+        }
+
+        if (this.stats) {
+            const times = this.frameTimes;
+            const fps = times.interval > 0 ? 1000 / times.interval : 0;
+            ctx.font = "12px monospace";
+            ctx.textBaseline = "top";
+            ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+            ctx.fillRect(4, 4, 170, 20);
+            ctx.fillStyle = "white";
+            ctx.fillText(`${fps.toFixed(0)} fps, ${times.render.toFixed(2)} ms/frame`, 8, 8);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Strokes the polygon through the given points.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {import("./point.js").Point[]} points Points of the polygon in the [0, 1] range of the curve.
+     * @param {import("./layout.js").CurveSpace} space Mapping of the curve to the canvas.
+     */
+    drawPolygon(ctx, points, space) {
+        ctx.beginPath();
+        for (const point of points) {
+            ctx.lineTo(...space.toCanvas(point.x, point.y));
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draws the levels of a de Casteljau construction with one colour per level.
+     * @param {CanvasRenderingContext2D} ctx Canvas context to draw on.
+     * @param {import("./point.js").Point[][]} levels Levels of the construction (see `constructCurve`).
+     * @param {import("./layout.js").CurveSpace} space Mapping of the curve to the canvas.
+     */
+    drawConstruction(ctx, levels, space) {
+        for (let level = 1; level < levels.length; ++level) {
+            const colour = `hsl(${Math.round(360 * level / levels.length)}, 90%, 65%)`;
+            ctx.strokeStyle = colour;
+            ctx.fillStyle = colour;
+            this.drawPolygon(ctx, levels[level], space);
+            // The last level is the point on the curve
+            const radius = level === levels.length - 1 ? 6 : 3;
+            for (const point of levels[level]) {
+                const [x, y] = space.toCanvas(point.x, point.y);
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+    }
+
+    /**
+     * Finds the inner control point of an animated curve closest to the given canvas position.
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @returns {{point: AnimatedPoint, offsetY: number} | null} Point within the grab radius or null.
+     */
+    findPoint(x, y) {
+        const animation = this.owner.animation;
+        if (!animation.flat) {
+            return null;
+        }
+        let closest = null;
+        let closestDistance = grabRadius;
+        for (const { curve, offsetY } of animation.getKeyCurves()) {
+            const space = animation.getCurveSpace(offsetY);
+            for (let i = 1; i < curve.length - 1; ++i) {
+                const [pointX, pointY] = space.toCanvas(curve[i].x, curve[i].y);
+                const distance = Math.hypot(pointX - x, pointY - y);
+                if (distance <= closestDistance) {
+                    closest = { point: curve[i], offsetY };
+                    closestDistance = distance;
+                }
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Pins the dragged point at the given canvas position.
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     */
+    moveDraggedPoint(x, y) {
+        const { point, offsetY } = this.drag;
+        const [curveX, curveY] = this.owner.animation.getCurveSpace(offsetY).fromCanvas(x, y);
+        // Flat curves (no vertical compression) keep their y coordinate
+        point.pin(curveX, this.owner.consts.verticalCompression > 0 ? curveY : point.y);
+        this.owner.requestRedraw();
+    }
+
+    /**
+     * @param {PointerEvent} event Pointer event.
+     */
+    onPointerDown(event) {
+        const { x, y } = this.owner.getCanvasPosition(event);
+        const found = this.findPoint(x, y);
+        if (found === null) {
+            return;
+        }
+        event.stopImmediatePropagation();
+        this.drag = { ...found, pointerId: event.pointerId };
+        this.dragged = true;
+        this.moveDraggedPoint(x, y);
+    }
+
+    /**
+     * @param {PointerEvent} event Pointer event.
+     */
+    onPointerMove(event) {
+        if (this.drag === null || this.drag.pointerId !== event.pointerId) {
+            return;
+        }
+        event.stopImmediatePropagation();
+        const { x, y } = this.owner.getCanvasPosition(event);
+        this.moveDraggedPoint(x, y);
+    }
+
+    /**
+     * @param {PointerEvent} event Pointer event.
+     */
+    onPointerUp(event) {
+        if (this.drag === null || this.drag.pointerId !== event.pointerId) {
+            return;
+        }
+        event.stopImmediatePropagation();
+        this.drag = null;
+    }
+
+    /**
+     * @param {MouseEvent} event Mouse event.
+     */
+    onClick(event) {
+        if (this.dragged) {
+            // The click ends a drag, which should not change the palette
+            event.stopImmediatePropagation();
+            this.dragged = false;
+        }
+    }
+
+    /**
+     * Releases the pinned point under the cursor.
+     * @param {MouseEvent} event Mouse event of a double or right click.
+     */
+    onRelease(event) {
+        const { x, y } = this.owner.getCanvasPosition(event);
+        const found = this.findPoint(x, y);
+        if (found === null || !found.point.pinned) {
+            return;
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        found.point.release();
+        this.owner.requestRedraw();
+    }
+}
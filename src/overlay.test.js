@@ -0,0 +1,42 @@
+"use strict";
+
+/*
+ * Tests of the editor overlay, run with `node --test src/`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BezierCurves } from "./bezier-curves.js";
+import { HeadlessCanvas } from "./headless.js";
+
+// The rendering loop is driven by hand, so frames are never requested from a browser
+globalThis.window ??= { requestAnimationFrame() { return 0; }, cancelAnimationFrame() { } };
+
+/**
+ * Renders the given number of frames at 60 frames per second of real time and returns the shown frame rate.
+ * @param {number} rate Playback rate of the clock.
+ */
+function measureFps(rate, frames = 120) {
+    const background = new BezierCurves(new HeadlessCanvas(200, 150), {
+        seed: 1, autoResize: false, observeVisibility: false,
+    });
+    background.start();
+    background.setOverlay(true);
+    background.clock.setRate(rate);
+    for (let i = 1; i <= frames; ++i) {
+        background.renderFrame(i * 1000 / 60);
+    }
+    const interval = background.overlay.frameTimes.interval;
+    background.destroy();
+    return 1000 / interval;
+}
+
+test("frame rate is measured in real time", () => {
+    assert.ok(Math.abs(measureFps(1) - 60) < 0.5);
+});
+
+test("frame rate does not depend on the playback rate", () => {
+    const normal = measureFps(1);
+    assert.ok(Math.abs(measureFps(0.05) - normal) < 0.5);
+    assert.ok(Math.abs(measureFps(4) - normal) < 0.5);
+});
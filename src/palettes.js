@@ -0,0 +1,141 @@
+"use strict";
+
+import { Colour, colourMap, parseColour } from "./colour.js";
+
+/**
+ * Key under which custom palettes are stored in the local storage.
+ */
+const storageKey = "bezier-curves.palettes";
+
+/**
+ * Whether the given name belongs to one of the built-in palettes.
+ * @param {string} name Name of the palette.
+ */
+export function isBuiltInPalette(name) {
+    return colourMap.has(name);
+}
+
+/**
+ * Parses palette definitions.
+ * Accepted forms are an object mapping names to colour lists
+ * (`{ "sunset": ["#ff5e00", "rgb(255, 200, 0)"] }`), a single palette
+ * (`{ "name": "sunset", "colours": [...] }`) or an array of single palettes.
+ * Colours are parsed with `parseColour`.
+ * @param {object | string} json Palette definitions or their JSON string.
+ * @returns {Map<string, Colour[]>}
+ */
+export function parsePalettes(json) {
+    if (typeof json === "string") {
+        json = JSON.parse(json);
+    }
+    const palettes = new Map();
+    function addPalette(name, colours) {
+        if (typeof name !== "string" || name === "") {
+            throw new SyntaxError("Palette name has to be a non-empty string");
+        }
+        if (!Array.isArray(colours) || colours.length === 0) {
+            throw new SyntaxError(`Palette "${name}" needs at least one colour`);
+        }
+        palettes.set(name, colours.map(colour => colour instanceof Colour ? colour : parseColour(colour)));
+    }
+
+    if (Array.isArray(json)) {
+        json.forEach(palette => addPalette(palette.name, palette.colours));
+    } else if (json !== null && typeof json === "object" && "colours" in json) {
+        addPalette(json.name, json.colours);
+    } else if (json !== null && typeof json === "object") {
+        Object.keys(json).forEach(name => addPalette(name, json[name]));
+    } else {
+        throw new SyntaxError("Palette definitions have to be an object or an array");
+    }
+    return palettes;
+}
+
+/**
+ * Converts palettes into the object form understood by `parsePalettes`.
+ * @param {Map<string, Colour[]>} palettes Palettes to be converted.
+ * @returns {Object<string, string[]>}
+ */
+export function palettesToJSON(palettes) {
+    const json = {};
+    for (const [name, colours] of palettes) {
+        json[name] = colours.map(colour => colour.toHex());
+    }
+    return json;
+}
+
+/**
+ * Loads palette definitions from a JSON file (e.g. from a file input) or URL.
+ * @param {File | Blob | string} source File or URL of the JSON definitions.
+ * @returns {Promise<Map<string, Colour[]>>}
+ */
+export async function loadPalettes(source) {
+    if (typeof source === "string") {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not load palettes from ${source}: ${response.status} ${response.statusText}`);
+        }
+        return parsePalettes(await response.json());
+    }
+    return parsePalettes(await source.text());
+}
+
+/**
+ * Parses palettes from the compact URL parameter form.
+ * Palettes are separated by `;`, the URI-encoded name is followed by `:` and the
+ * hex colours (without `#`) are separated by `,`.
+ * Example: `sunset:ff5e00,ffc800;deep%20sea:003f5c,2f4b7c`
+ * @param {string} text Value of the URL parameter.
+ * @returns {Map<string, Colour[]>}
+ */
+export function parsePaletteParam(text) {
+    const json = {};
+    for (const definition of text.split(";")) {
+        const separator = definition.lastIndexOf(":");
+        if (separator < 0) {
+            throw new SyntaxError(`Palette "${definition}" is missing a name`);
+        }
+        json[decodeURIComponent(definition.substring(0, separator))] = definition.substring(separator + 1).split(",");
+    }
+    return parsePalettes(json);
+}
+
+/**
+ * Converts palettes into the compact URL parameter form (see `parsePaletteParam`).
+ * @param {Map<string, Colour[]>} palettes Palettes to be converted.
+ * @returns {string}
+ */
+export function paletteParamToString(palettes) {
+    return Array.from(palettes, ([name, colours]) =>
+        `${encodeURIComponent(name)}:${colours.map(colour => colour.toHex().substring(1)).join(",")}`).join(";");
+}
+
+/**
+ * Loads the custom palettes persisted in the given storage.
+ * Broken entries are ignored with a warning.
+ * @param {Storage} [storage] Storage to read from.
+ * @returns {Map<string, Colour[]>}
+ */
+export function loadStoredPalettes(storage = window.localStorage) {
+    const text = storage.getItem(storageKey);
+    if (text === null) {
+        return new Map();
+    }
+    try {
+        return parsePalettes(text);
+    } catch (e) {
+        console.warn(`Ignoring stored palettes: ${e.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Persists the given custom palettes in the given storage.
+ * Built-in palettes are never stored.
+ * @param {Map<string, Colour[]>} palettes Palettes to be stored.
+ * @param {Storage} [storage] Storage to write to.
+ */
+export function storePalettes(palettes, storage = window.localStorage) {
+    const custom = new Map(Array.from(palettes).filter(([name]) => !isBuiltInPalette(name)));
+    storage.setItem(storageKey, JSON.stringify(palettesToJSON(custom)));
+}
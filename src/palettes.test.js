@@ -0,0 +1,34 @@
+"use strict";
+
+/*
+ * Tests of the palette definitions, run with `node --test src/`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseColour } from "./colour.js";
+import { parsePaletteParam, paletteParamToString } from "./palettes.js";
+
+test("palette URL parameter round trip", () => {
+    const palettes = new Map([
+        ["sunset", [parseColour("#ff5e00"), parseColour("#ffc800")]],
+        ["sea", [parseColour("#003f5c")]],
+    ]);
+    const text = paletteParamToString(palettes);
+    assert.equal(text, "sunset:ff5e00,ffc800;sea:003f5c");
+    const parsed = parsePaletteParam(text);
+    assert.deepEqual(Array.from(parsed.keys()), ["sunset", "sea"]);
+    assert.deepEqual(parsed.get("sunset").map(colour => colour.toHex()), ["#ff5e00", "#ffc800"]);
+});
+
+test("palette names with separators survive the URL parameter", () => {
+    const names = ["a:b", "one, two", "x;y", "100% red", "über"];
+    const palettes = new Map(names.map(name => [name, [parseColour("#102030")]]));
+    const parsed = parsePaletteParam(paletteParamToString(palettes));
+    assert.deepEqual(Array.from(parsed.keys()), names);
+    assert.equal(parsed.get("x;y")[0].toHex(), "#102030");
+});
+
+test("palette URL parameter without a name is rejected", () => {
+    assert.throws(() => parsePaletteParam("ff0000"), SyntaxError);
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+import { interpolate } from "./maths.js";
+
+export class Point {
+    /**
+     * @param {number} x X coordinate.
+     * @param {number} y Y coordintate.
+     * @param {number} [w] Weight (only used by rational curves).
+     */
+    constructor(x, y, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.w = w;
+    }
+
+    /**
+     * Linear interpolation between this point and the given other point.
+     * @param {Point} other Point to interpolate with.
+     * @param {number} factor Interpolation factor in [0, 1] range (0=this point, 1=the other point).
+     */
+    interpolate(other, factor) {
+        return new Point(
+            interpolate(this.x, other.x, factor),
+            interpolate(this.y, other.y, factor),
+            interpolate(this.w, other.w, factor));
+    }
+
+    /**
+     * @returns {{x: number, y: number, w: number}} Serialisable state of the point.
+     */
+    toJSON() { return { x: this.x, y: this.y, w: this.w }; }
+
+    /**
+     * @param {{x: number, y: number, w?: number}} json State previously created by `toJSON`.
+     */
+    static fromJSON(json) { return new Point(json.x, json.y, json.w); }
+}
+
+export class AnimatedPoint extends Point {
+    /**
+     * @param {number} x X coordinate.
+     * @param {number} y Y coordintate.
+     * @param {number} [w] Weight (only used by rational curves).
+     */
+    constructor(x, y, w = 1) {
+        super(x, y, w);
+        this.targetX = x;
+        this.targetY = y;
+        // State of the motion models (see motion.js)
+        this.startX = x;
+        this.startY = y;
+        this.progress = 1;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.noiseX = null;
+        this.noiseY = null;
+        // Displacement by pointers (see pointer.js), which is included in x and y
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.offsetVelocityX = 0;
+        this.offsetVelocityY = 0;
+        // Pinned points are neither animated nor displaced
+        this.pinned = false;
+        // Factor by which y is stretched away from the centre line (see animateCurve)
+        this.amplitude = 1;
+    }
+
+    toPoint() { return new Point(this.x, this.y, this.w); }
+
+    /**
+     * Pins the point at the given position, where it stays until it is released.
+     * @param {number} x X coordinate.
+     * @param {number} y Y coordinate.
+     */
+    pin(x, y) {
+        this.pinned = true;
+        this.x = x;
+        this.y = y;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.offsetVelocityX = 0;
+        this.offsetVelocityY = 0;
+        this.velocityX = 0;
+        this.velocityY = 0;
+    }
+
+    /**
+     * Releases a pinned point, which then continues its motion from its current position.
+     */
+    release() {
+        this.pinned = false;
+        // Start a new tween of the eased motion instead of jumping back into the previous one
+        this.progress = 1;
+    }
+
+    /**
+     * @returns {object} Serialisable state of the point including its animation target and motion state.
+     */
+    toJSON() {
+        return {
+            x: this.x, y: this.y, w: this.w,
+            targetX: this.targetX, targetY: this.targetY,
+            startX: this.startX, startY: this.startY, progress: this.progress,
+            velocityX: this.velocityX, velocityY: this.velocityY,
+            noiseX: this.noiseX, noiseY: this.noiseY,
+            offsetX: this.offsetX, offsetY: this.offsetY,
+            offsetVelocityX: this.offsetVelocityX, offsetVelocityY: this.offsetVelocityY,
+            pinned: this.pinned, amplitude: this.amplitude,
+        };
+    }
+
+    /**
+     * @param {object} json State previously created by `toJSON`.
+     */
+    static fromJSON(json) { return Object.assign(new AnimatedPoint(json.x, json.y), json); }
+
+    /**
+     * Linear interpolation between this point and the given other point.
+     * @param {Point} other Point to interpolate with.
+     * @param {number} factor Interpolation factor in [0, 1] range (0=this point, 1=the other point).
+     */
+    interpolate(other, factor) {
+        return new AnimatedPoint(
+            interpolate(this.x, other.x, factor),
+            interpolate(this.y, other.y, factor),
+            interpolate(this.w, other.w, factor));
+    }
+}
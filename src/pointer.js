@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ * @typedef {import("./point.js").AnimatedPoint} AnimatedPoint
+ * @typedef {import("./layout.js").CurveSpace} CurveSpace
+ */
+
+/**
+ * Time constant in milliseconds with which a released pointer loses its influence.
+ */
+const releaseFade = 300;
+
+/**
+ * Time constant in milliseconds with which the velocity of a pointer that stopped moving decays.
+ */
+const velocityFade = 50;
+
+/**
+ * Natural frequency (rad/ms) of the spring that pulls displaced points back to their autonomous motion.
+ */
+const returnFrequency = 0.005;
+
+/**
+ * Damping ratio of the spring that pulls displaced points back.
+ */
+const returnDamping = 0.7;
+
+/**
+ * How strongly (1/ms) points near a moving pointer are dragged along with it.
+ */
+const flingDrag = 0.03;
+
+/**
+ * Longest time step of the displacement integration in milliseconds.
+ */
+const maxStep = 16;
+
+/**
+ * Distance in curve units over which the mapping to the canvas is differentiated.
+ */
+const jacobianEpsilon = 1e-4;
+
+/**
+ * Pointers (mouse, pen and touches) over the canvas and their influence on the control points.
+ * The influence is a displacement on top of the autonomous motion of the points, which springs back
+ * once the pointers are gone.
+ */
+export class PointerField {
+    constructor() {
+        /**
+         * Tracked pointers by pointer id. Positions are in canvas pixels and velocities in pixels per millisecond.
+         * @type {Map<number, {x: number, y: number, velocityX: number, velocityY: number, time: number, presence: number, released: boolean}>}
+         */
+        this.pointers = new Map();
+    }
+
+    /**
+     * Moves the given pointer (which is added if it is not tracked yet).
+     * @param {number} id Pointer id.
+     * @param {number} x X coordinate in canvas pixels.
+     * @param {number} y Y coordinate in canvas pixels.
+     * @param {number} time Timestamp of the event in milliseconds.
+     */
+    move(id, x, y, time) {
+        const pointer = this.pointers.get(id);
+        if (pointer === undefined || pointer.released) {
+            this.pointers.set(id, { x, y, velocityX: 0, velocityY: 0, time, presence: 1, released: false });
+            return;
+        }
+        const timespan = time - pointer.time;
+        if (timespan > 0) {
+            // Smooth the velocity, because pointer events arrive irregularly
+            pointer.velocityX = 0.5 * pointer.velocityX + 0.5 * (x - pointer.x) / timespan;
+            pointer.velocityY = 0.5 * pointer.velocityY + 0.5 * (y - pointer.y) / timespan;
+        }
+        pointer.x = x;
+        pointer.y = y;
+        pointer.time = time;
+    }
+
+    /**
+     * Releases the given pointer, whose influence then fades out.
+     * @param {number} id Pointer id.
+     */
+    release(id) {
+        const pointer = this.pointers.get(id);
+        if (pointer !== undefined) {
+            pointer.released = true;
+        }
+    }
+
+    /**
+     * Fades out released pointers and the velocity of pointers that stopped moving.
+     * @param {number} timespan Milliseconds since the last update.
+     */
+    update(timespan) {
+        const velocityFactor = Math.exp(-timespan / velocityFade);
+        const presenceFactor = Math.exp(-timespan / releaseFade);
+        for (const [id, pointer] of this.pointers) {
+            pointer.velocityX *= velocityFactor;
+            pointer.velocityY *= velocityFactor;
+            if (pointer.released) {
+                pointer.presence *= presenceFactor;
+                if (pointer.presence < 0.001) {
+                    this.pointers.delete(id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes the displacement from the inner points of the given curve, so the motion model
+     * continues with the autonomous positions.
+     * @param {AnimatedPoint[]} curve Curve whose points were displaced by `displace`.
+     */
+    static removeDisplacement(curve) {
+        for (let i = 1; i < curve.length - 1; ++i) {
+            curve[i].x -= curve[i].offsetX;
+            curve[i].y -= curve[i].offsetY;
+        }
+    }
+
+    /**
+     * Updates the displacement of the inner points of the given curve and adds it to their positions.
+     * Pointers attract or repel points within the configured radius and drag them along when moving.
+     * Pinned points are left alone.
+     * @param {AnimatedPoint[]} curve Curve with autonomous point positions.
+     * @param {CurveSpace} space Mapping of the curve to canvas pixels.
+     * @param {number} timespan Milliseconds since the last update.
+     * @param {object} consts Animation constants of the owning instance.
+     */
+    displace(curve, space, timespan, consts) {
+        const sign = consts.pointerMode === "attract" ? 1 : consts.pointerMode === "repel" ? -1 : 0;
+        const radius = consts.pointerRadius;
+        const strength = consts.pointerStrength;
+        const stiffness = returnFrequency * returnFrequency;
+        const damping = 2 * returnDamping * returnFrequency;
+        const pointers = sign === 0 ? [] : Array.from(this.pointers.values());
+        for (let i = 1; i < curve.length - 1; ++i) {
+            const point = curve[i];
+            if (point.pinned) {
+                continue;
+            }
+            // The layout may rotate or bend the curve, so it is linearised around the point
+            const [pointX, pointY] = space.toCanvas(point.x, point.y);
+            const [nextX, nextY] = space.toCanvas(point.x + jacobianEpsilon, point.y);
+            const [aboveX, aboveY] = space.toCanvas(point.x, point.y + jacobianEpsilon);
+            const jxx = (nextX - pointX) / jacobianEpsilon;
+            const jyx = (nextY - pointY) / jacobianEpsilon;
+            const jxy = (aboveX - pointX) / jacobianEpsilon;
+            const jyy = (aboveY - pointY) / jacobianEpsilon;
+            const determinant = jxx * jyy - jxy * jyx;
+            // Flat curves (no vertical compression) cannot be pushed around by the pointers
+            const invertible = Math.abs(determinant) > 1e-6;
+            for (let remaining = timespan; remaining > 0; remaining -= maxStep) {
+                const step = Math.min(remaining, maxStep);
+                // Accelerations in canvas pixels
+                let accelerationX = 0;
+                let accelerationY = 0;
+                const offsetPixelsX = jxx * point.offsetX + jxy * point.offsetY;
+                const offsetPixelsY = jyx * point.offsetX + jyy * point.offsetY;
+                const velocityPixelsX = jxx * point.offsetVelocityX + jxy * point.offsetVelocityY;
+                const velocityPixelsY = jyx * point.offsetVelocityX + jyy * point.offsetVelocityY;
+                for (const pointer of invertible ? pointers : []) {
+                    const dx = pointer.x - (pointX + offsetPixelsX);
+                    const dy = pointer.y - (pointY + offsetPixelsY);
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance >= radius) {
+                        continue;
+                    }
+                    const falloff = strength * pointer.presence * (1 - distance / radius);
+                    if (sign > 0) {
+                        // Pull towards the pointer
+                        accelerationX += falloff * stiffness * dx;
+                        accelerationY += falloff * stiffness * dy;
+                    } else if (distance > 0) {
+                        // Push out of the radius
+                        accelerationX -= falloff * stiffness * (radius - distance) * dx / distance;
+                        accelerationY -= falloff * stiffness * (radius - distance) * dy / distance;
+                    }
+                    // Fling: drag the points along with the pointer
+                    accelerationX += falloff * flingDrag * (pointer.velocityX - velocityPixelsX);
+                    accelerationY += falloff * flingDrag * (pointer.velocityY - velocityPixelsY);
+                }
+                // Back to curve units with the inverse jacobian
+                const curveAccelerationX = invertible ? (jyy * accelerationX - jxy * accelerationY) / determinant : 0;
+                const curveAccelerationY = invertible ? (jxx * accelerationY - jyx * accelerationX) / determinant : 0;
+                // Spring back to the autonomous position (semi-implicit euler)
+                point.offsetVelocityX += (curveAccelerationX - stiffness * point.offsetX - damping * point.offsetVelocityX) * step;
+                point.offsetVelocityY += (curveAccelerationY - stiffness * point.offsetY - damping * point.offsetVelocityY) * step;
+                point.offsetX += point.offsetVelocityX * step;
+                point.offsetY += point.offsetVelocityY * step;
+            }
+            point.x += point.offsetX;
+            point.y += point.offsetY;
+        }
+    }
+}
@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Seedable pseudo random number generator (mulberry32).
+ * Every random decision of an animation goes through an instance of this class,
+ * which makes the animation reproducible for a given seed.
+ */
+export class Random {
+    /**
+     * @param {number} [seed] 32 bit integer seed. A random seed is chosen if omitted.
+     */
+    constructor(seed = Random.createSeed()) {
+        /**
+         * Seed the generator was created with.
+         */
+        this.seed = seed >>> 0;
+        /**
+         * Internal state of the generator.
+         */
+        this.state = this.seed;
+    }
+
+    /**
+     * Creates a random seed from the non-deterministic `Math.random`.
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * @returns {number} Next pseudo random number in the [0, 1) range.
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @returns {{seed: number, state: number}} Serialisable state of the generator.
+     */
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restores a state previously created by `toJSON`.
+     * @param {{seed: number, state: number}} json Serialised state.
+     */
+    restore(json) {
+        this.seed = json.seed >>> 0;
+        this.state = json.state >>> 0;
+    }
+}
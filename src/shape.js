@@ -0,0 +1,507 @@
+"use strict";
+
+/*
+ * Target outlines of the morphing animation and the fitting of curves to them.
+ * An outline is a list of polylines (`Float64Array` of interleaved x and y coordinates, y pointing down).
+ * Everything except `traceText` works without the DOM.
+ */
+
+import { Point } from "./point.js";
+import { evaluateCurve, bezierBasis } from "./bases.js";
+import { createLayer } from "./layer.js";
+
+/**
+ * Outline shown by the morphing animation until another target is set: a heart.
+ */
+export const defaultMorphPath = "M 0 -1 C 2 -5 8 -3 5 1 L 0 6 L -5 1 C -8 -3 -2 -5 0 -1 Z";
+
+/**
+ * Font that text is traced with unless another one is given.
+ */
+const defaultFont = "bold 200px sans-serif";
+
+/**
+ * Line segments per bezier segment of a path.
+ */
+const pathCurveSteps = 16;
+
+/**
+ * Numbers in path data (the exponent is optional, the integer or the fractional part may be omitted).
+ */
+const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+/**
+ * Segments of a marching squares cell by its case (corners top left = 8, top right = 4, bottom right = 2,
+ * bottom left = 1) between the midpoints of its edges (top = 0, right = 1, bottom = 2, left = 3).
+ * Saddles separate the two filled corners.
+ */
+const marchingSegments = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]], [[0, 1]], [[0, 1], [3, 2]], [[0, 2]], [[0, 3]],
+    [[3, 0]], [[0, 2]], [[3, 0], [2, 1]], [[0, 1]], [[3, 1]], [[1, 2]], [[3, 2]], [],
+];
+
+/**
+ * Offsets of the edge midpoints of a marching squares cell in half pixels.
+ */
+const edgeMidpoints = [[1, 0], [2, 1], [1, 2], [0, 1]];
+
+/**
+ * Adds the points of an elliptical arc from (x0, y0) to (x, y) to the given polyline
+ * (endpoint to centre parameterisation of the SVG specification).
+ * @param {number[]} points Polyline that ends at (x0, y0).
+ */
+function addArc(points, x0, y0, rx, ry, rotation, largeArc, sweep, x, y) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+        points.push(x, y);
+        return;
+    }
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x0 - x) / 2;
+    const dy = (y0 - y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Radii which are too small to reach the end point are scaled up
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = denominator > 0 ? Math.sqrt(Math.max(0, numerator / denominator)) : 0;
+    if (largeArc === sweep) {
+        factor = -factor;
+    }
+    const centreX1 = factor * rx * y1 / ry;
+    const centreY1 = -factor * ry * x1 / rx;
+    const centreX = cos * centreX1 - sin * centreY1 + (x0 + x) / 2;
+    const centreY = sin * centreX1 + cos * centreY1 + (y0 + y) / 2;
+
+    const start = Math.atan2((y1 - centreY1) / ry, (x1 - centreX1) / rx);
+    let delta = Math.atan2((-y1 - centreY1) / ry, (-x1 - centreX1) / rx) - start;
+    if (sweep && delta < 0) {
+        delta += 2 * Math.PI;
+    } else if (!sweep && delta > 0) {
+        delta -= 2 * Math.PI;
+    }
+    const steps = Math.max(Math.ceil(Math.abs(delta) / (Math.PI / 16)), 1);
+    for (let step = 1; step <= steps; ++step) {
+        const angle = start + delta * step / steps;
+        const px = rx * Math.cos(angle);
+        const py = ry * Math.sin(angle);
+        points.push(cos * px - sin * py + centreX, sin * px + cos * py + centreY);
+    }
+}
+
+/**
+ * Adds the points of a cubic bezier segment from (x0, y0) to (x3, y3) to the given polyline.
+ * Quadratic segments are given with their control points elevated to cubic ones.
+ * @param {number[]} points Polyline that ends at (x0, y0).
+ */
+function addCubic(points, x0, y0, x1, y1, x2, y2, x3, y3) {
+    for (let step = 1; step <= pathCurveSteps; ++step) {
+        const t = step / pathCurveSteps;
+        const s = 1 - t;
+        const a = s * s * s;
+        const b = 3 * s * s * t;
+        const c = 3 * s * t * t;
+        const d = t * t * t;
+        points.push(a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3);
+    }
+}
+
+/**
+ * Turns SVG path data (the `d` attribute) into an outline. All commands are supported.
+ * Every subpath becomes a polyline, closed subpaths end at their start point.
+ * @param {string} d Path data.
+ * @returns {Float64Array[]}
+ */
+export function parseSvgPath(d) {
+    let index = 0;
+    const skipSeparators = () => {
+        while (index < d.length && /[\s,]/.test(d[index])) {
+            ++index;
+        }
+    };
+    const hasNumber = () => {
+        skipSeparators();
+        return index < d.length && /[-+.\d]/.test(d[index]);
+    };
+    const readNumber = () => {
+        skipSeparators();
+        numberPattern.lastIndex = index;
+        const match = numberPattern.exec(d);
+        if (match === null) {
+            throw new SyntaxError(`Expected a number at position ${index} of the path "${d}"`);
+        }
+        index = numberPattern.lastIndex;
+        return Number(match[0]);
+    };
+    // Arc flags may be written without separators ("a1 1 0 11 2 2")
+    const readFlag = () => {
+        skipSeparators();
+        const flag = d[index++];
+        if (flag !== "0" && flag !== "1") {
+            throw new SyntaxError(`Expected an arc flag at position ${index - 1} of the path "${d}"`);
+        }
+        return flag === "1";
+    };
+
+    const contours = [];
+    let points = [];
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    // Last control point, which smooth segments (S and T) reflect
+    let controlX = 0;
+    let controlY = 0;
+    let previous = "";
+    const finishContour = () => {
+        if (points.length >= 4) {
+            contours.push(new Float64Array(points));
+        }
+        points = [];
+    };
+
+    skipSeparators();
+    while (index < d.length) {
+        const command = d[index++];
+        if (!/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) {
+            throw new SyntaxError(`Unknown path command "${command}" at position ${index - 1} of the path "${d}"`);
+        }
+        const relative = command === command.toLowerCase();
+        const type = command.toUpperCase();
+        if (type === "Z") {
+            if (points.length > 0) {
+                points.push(startX, startY);
+            }
+            finishContour();
+            x = startX;
+            y = startY;
+            previous = type;
+            skipSeparators();
+            continue;
+        }
+        // Commands repeat while numbers follow, further pairs after a move are lines
+        let first = true;
+        do {
+            const baseX = relative ? x : 0;
+            const baseY = relative ? y : 0;
+            // Drawing commands without a preceding move start at the current point
+            if (points.length === 0 && !(type === "M" && first)) {
+                points.push(x, y);
+            }
+            if (type === "M" && first) {
+                finishContour();
+                x = baseX + readNumber();
+                y = baseY + readNumber();
+                startX = x;
+                startY = y;
+                points.push(x, y);
+            } else if (type === "M" || type === "L") {
+                x = baseX + readNumber();
+                y = baseY + readNumber();
+                points.push(x, y);
+            } else if (type === "H") {
+                x = baseX + readNumber();
+                points.push(x, y);
+            } else if (type === "V") {
+                y = baseY + readNumber();
+                points.push(x, y);
+            } else if (type === "C" || type === "S") {
+                let x1 = 2 * x - controlX;
+                let y1 = 2 * y - controlY;
+                if (type === "C") {
+                    x1 = baseX + readNumber();
+                    y1 = baseY + readNumber();
+                } else if (previous !== "C" && previous !== "S") {
+                    x1 = x;
+                    y1 = y;
+                }
+                const x2 = baseX + readNumber();
+                const y2 = baseY + readNumber();
+                const x3 = baseX + readNumber();
+                const y3 = baseY + readNumber();
+                addCubic(points, x, y, x1, y1, x2, y2, x3, y3);
+                controlX = x2;
+                controlY = y2;
+                x = x3;
+                y = y3;
+            } else if (type === "Q" || type === "T") {
+                let x1 = 2 * x - controlX;
+                let y1 = 2 * y - controlY;
+                if (type === "Q") {
+                    x1 = baseX + readNumber();
+                    y1 = baseY + readNumber();
+                } else if (previous !== "Q" && previous !== "T") {
+                    x1 = x;
+                    y1 = y;
+                }
+                const x2 = baseX + readNumber();
+                const y2 = baseY + readNumber();
+                addCubic(points, x, y, x + 2 / 3 * (x1 - x), y + 2 / 3 * (y1 - y),
+                    x2 + 2 / 3 * (x1 - x2), y2 + 2 / 3 * (y1 - y2), x2, y2);
+                controlX = x1;
+                controlY = y1;
+                x = x2;
+                y = y2;
+            } else {
+                const rx = readNumber();
+                const ry = readNumber();
+                const rotation = readNumber();
+                const largeArc = readFlag();
+                const sweep = readFlag();
+                const x1 = baseX + readNumber();
+                const y1 = baseY + readNumber();
+                addArc(points, x, y, rx, ry, rotation, largeArc, sweep, x1, y1);
+                x = x1;
+                y = y1;
+            }
+            previous = type;
+            first = false;
+        } while (hasNumber());
+    }
+    finishContour();
+    return contours;
+}
+
+/**
+ * Renders the given text and traces the outlines of its glyphs (marching squares on the rendered pixels).
+ * Needs a canvas implementation, i.e. a browser.
+ * @param {string} text Text to trace.
+ * @param {object} [options] Tracing options.
+ * @param {string} [options.font] CSS font the text is rendered with (its size is the tracing resolution).
+ * @returns {Float64Array[]} Outline in pixels of the rendered text.
+ */
+export function traceText(text, { font = defaultFont } = {}) {
+    const measure = createLayer(1, 1);
+    if (measure === null) {
+        throw new Error("Tracing text needs a browser");
+    }
+    measure.font = font;
+    const metrics = measure.measureText(text);
+    // The empty border lets every outline close
+    const padding = 2;
+    const width = Math.ceil(metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight) + 2 * padding;
+    const height = Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) + 2 * padding;
+    if (width <= 2 * padding || height <= 2 * padding) {
+        return [];
+    }
+    const layer = createLayer(width, height);
+    layer.font = font;
+    layer.fillStyle = "#000";
+    layer.fillText(text, padding + metrics.actualBoundingBoxLeft, padding + metrics.actualBoundingBoxAscent);
+    const data = layer.getImageData(0, 0, width, height).data;
+    const inside = (x, y) => data[4 * (y * width + x) + 3] >= 128;
+
+    // Segments between edge midpoints (in half pixels) by midpoint, every midpoint has two neighbours
+    const stride = 2 * width + 1;
+    const neighbours = new Map();
+    const connect = (from, to) => {
+        const list = neighbours.get(from);
+        if (list === undefined) {
+            neighbours.set(from, [to]);
+        } else {
+            list.push(to);
+        }
+    };
+    for (let y = 0; y < height - 1; ++y) {
+        for (let x = 0; x < width - 1; ++x) {
+            const cell = (inside(x, y) ? 8 : 0) | (inside(x + 1, y) ? 4 : 0) |
+                (inside(x + 1, y + 1) ? 2 : 0) | (inside(x, y + 1) ? 1 : 0);
+            for (const [from, to] of marchingSegments[cell]) {
+                const a = (2 * y + edgeMidpoints[from][1]) * stride + 2 * x + edgeMidpoints[from][0];
+                const b = (2 * y + edgeMidpoints[to][1]) * stride + 2 * x + edgeMidpoints[to][0];
+                connect(a, b);
+                connect(b, a);
+            }
+        }
+    }
+
+    // Every loop of segments is an outline
+    const contours = [];
+    const visited = new Set();
+    for (const start of neighbours.keys()) {
+        if (visited.has(start)) {
+            continue;
+        }
+        const points = [];
+        let previous = -1;
+        let current = start;
+        do {
+            visited.add(current);
+            points.push((current % stride) / 2, Math.floor(current / stride) / 2);
+            const [a, b] = neighbours.get(current);
+            const next = a !== previous ? a : b;
+            previous = current;
+            current = next;
+        } while (current !== start);
+        points.push(points[0], points[1]);
+        contours.push(new Float64Array(points));
+    }
+    return contours;
+}
+
+/**
+ * Creates the outline of a target of the morphing animation.
+ * @param {string | {text: string, font?: string} | Float64Array[]} target SVG path data, text which is traced
+ *     (see `traceText`) or an outline.
+ * @returns {Float64Array[]}
+ */
+export function createOutline(target) {
+    let outline;
+    if (typeof target === "string") {
+        outline = parseSvgPath(target);
+    } else if (Array.isArray(target)) {
+        outline = target.map(polyline => Float64Array.from(polyline));
+    } else if (target !== null && typeof target === "object" && typeof target.text === "string") {
+        outline = traceText(target.text, target);
+    } else {
+        throw new TypeError("The morph target has to be SVG path data, {text, font} or an outline");
+    }
+    // Outlines without length (e.g. "M0 0 Z") leave nothing to fit the curves to
+    if (!outline.some(polyline => getArcLengths(polyline).some(length => length > 0))) {
+        throw new Error("The morph target has no outline (its length is zero)");
+    }
+    return outline;
+}
+
+/**
+ * Distance from the start of the given polyline to each of its points.
+ * @param {Float64Array} polyline Polyline.
+ * @returns {Float64Array}
+ */
+function getArcLengths(polyline) {
+    const lengths = new Float64Array(polyline.length / 2);
+    for (let i = 1; i < lengths.length; ++i) {
+        lengths[i] = lengths[i - 1] + Math.hypot(polyline[2 * i] - polyline[2 * i - 2], polyline[2 * i + 1] - polyline[2 * i - 1]);
+    }
+    return lengths;
+}
+
+/**
+ * Splits the given outline into the given number of pieces of about the same length, which are sampled evenly.
+ * Every polyline gets at least one piece and the remaining pieces are shared by length.
+ * If there are fewer pieces than polylines, the shortest polylines are dropped.
+ * @param {Float64Array[]} outline Outline.
+ * @param {number} count Number of pieces.
+ * @param {number} samples Number of samples of every piece (at least 2).
+ * @returns {Float64Array[]} Samples of the pieces in the order of the outline.
+ */
+export function splitOutline(outline, count, samples) {
+    const arcLengths = outline.map(getArcLengths);
+    const lengths = arcLengths.map(polyline => polyline[polyline.length - 1] || 0);
+    const kept = outline.map((_, i) => i)
+        .filter(i => lengths[i] > 0)
+        .sort((a, b) => lengths[b] - lengths[a])
+        .slice(0, count);
+    if (kept.length === 0) {
+        return [];
+    }
+    const total = kept.reduce((sum, i) => sum + lengths[i], 0);
+    const shares = new Map(kept.map(i => [i, 1 + (count - kept.length) * lengths[i] / total]));
+    const counts = new Map(kept.map(i => [i, Math.floor(shares.get(i))]));
+    // Largest remainders
+    let remaining = count - kept.reduce((sum, i) => sum + counts.get(i), 0);
+    for (const i of kept.slice().sort((a, b) => (shares.get(b) % 1) - (shares.get(a) % 1))) {
+        if (remaining-- <= 0) {
+            break;
+        }
+        counts.set(i, counts.get(i) + 1);
+    }
+
+    const pieces = [];
+    for (const i of kept.sort((a, b) => a - b)) {
+        const polyline = outline[i];
+        const distances = arcLengths[i];
+        const pieceCount = counts.get(i);
+        let segment = 1;
+        for (let piece = 0; piece < pieceCount; ++piece) {
+            const samplesOfPiece = new Float64Array(2 * samples);
+            for (let sample = 0; sample < samples; ++sample) {
+                const distance = lengths[i] * (piece + sample / (samples - 1)) / pieceCount;
+                while (segment < distances.length - 1 && distances[segment] < distance) {
+                    ++segment;
+                }
+                const from = distances[segment - 1];
+                const fraction = distances[segment] > from ? Math.min((distance - from) / (distances[segment] - from), 1) : 0;
+                samplesOfPiece[2 * sample] = polyline[2 * segment - 2] + fraction * (polyline[2 * segment] - polyline[2 * segment - 2]);
+                samplesOfPiece[2 * sample + 1] = polyline[2 * segment - 1] + fraction * (polyline[2 * segment + 1] - polyline[2 * segment - 1]);
+            }
+            pieces.push(samplesOfPiece);
+        }
+    }
+    return pieces;
+}
+
+/**
+ * Creates a least squares fit of curves with the given number of control points to evenly sampled pieces
+ * (see `splitOutline`). The samples are assigned evenly spread curve parameters.
+ * Works with every basis in which the curve depends linearly on its control points (rational curves are fitted
+ * with uniform weights).
+ * @param {number} pointCount Number of control points.
+ * @param {number} samples Number of samples of every piece.
+ * @param {import("./bases.js").CurveBasis} [basis] Curve basis.
+ * @returns {(piece: Float64Array) => Point[]} Fits the control points to the samples of a piece.
+ */
+export function createCurveFitter(pointCount, samples, basis = bezierBasis) {
+    // Weight of every control point at every sample, found by evaluating curves with a single unit control point
+    const weights = [];
+    for (let j = 0; j < pointCount; ++j) {
+        const unit = Array.from({ length: pointCount }, (_, k) => new Point(k === j ? 1 : 0, 0));
+        weights.push(Float64Array.from({ length: samples }, (_, s) => evaluateCurve(unit, s / (samples - 1), basis).x));
+    }
+
+    // Cholesky factor of the normal equations (slightly regularised, so that it exists for every basis)
+    const factor = Array.from({ length: pointCount }, () => new Float64Array(pointCount));
+    for (let j = 0; j < pointCount; ++j) {
+        for (let k = 0; k <= j; ++k) {
+            let sum = 0;
+            for (let s = 0; s < samples; ++s) {
+                sum += weights[j][s] * weights[k][s];
+            }
+            if (j === k) {
+                sum += 1e-9;
+            }
+            for (let m = 0; m < k; ++m) {
+                sum -= factor[j][m] * factor[k][m];
+            }
+            factor[j][k] = j === k ? Math.sqrt(Math.max(sum, 1e-12)) : sum / factor[k][k];
+        }
+    }
+    const solve = rhs => {
+        for (let j = 0; j < pointCount; ++j) {
+            for (let m = 0; m < j; ++m) {
+                rhs[j] -= factor[j][m] * rhs[m];
+            }
+            rhs[j] /= factor[j][j];
+        }
+        for (let j = pointCount - 1; j >= 0; --j) {
+            for (let m = j + 1; m < pointCount; ++m) {
+                rhs[j] -= factor[m][j] * rhs[m];
+            }
+            rhs[j] /= factor[j][j];
+        }
+        return rhs;
+    };
+
+    return piece => {
+        const xs = new Float64Array(pointCount);
+        const ys = new Float64Array(pointCount);
+        for (let j = 0; j < pointCount; ++j) {
+            for (let s = 0; s < samples; ++s) {
+                xs[j] += weights[j][s] * piece[2 * s];
+                ys[j] += weights[j][s] * piece[2 * s + 1];
+            }
+        }
+        solve(xs);
+        solve(ys);
+        return Array.from(xs, (x, j) => new Point(x, ys[j]));
+    };
+}
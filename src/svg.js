@@ -0,0 +1,370 @@
+"use strict";
+
+/**
+ * Canvas state that is saved and restored by `save` and `restore`.
+ */
+const stateKeys = [
+    "strokeStyle", "fillStyle", "lineWidth", "lineCap", "lineJoin", "globalAlpha",
+    "globalCompositeOperation", "shadowBlur", "shadowColor",
+];
+
+/**
+ * CSS blend modes of the composite operations that are not plain source-over.
+ */
+const blendModes = new Map([
+    ["lighter", "plus-lighter"],
+    ["screen", "screen"],
+    ["multiply", "multiply"],
+    ["overlay", "overlay"],
+    ["difference", "difference"],
+]);
+
+/**
+ * Rounds the given number to two decimals, which is precise enough for pixel coordinates.
+ * @param {number} value Number.
+ * @returns {string}
+ */
+function format(value) {
+    return (Math.round(value * 100) / 100).toString();
+}
+
+/**
+ * Escapes the given text for use in an XML attribute.
+ * @param {string} text Text.
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+    return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/**
+ * Linear gradient created by `SvgContext.createLinearGradient`.
+ */
+export class SvgGradient {
+    /**
+     * @param {number} id Number of the gradient, unique within its context.
+     * @param {number} x0 X coordinate of the start point.
+     * @param {number} y0 Y coordinate of the start point.
+     * @param {number} x1 X coordinate of the end point.
+     * @param {number} y1 Y coordinate of the end point.
+     */
+    constructor(id, x0, y0, x1, y1) {
+        this.id = id;
+        this.points = [x0, y0, x1, y1];
+
+        /**
+         * @type {{offset: number, colour: string}[]}
+         */
+        this.stops = [];
+    }
+
+    /**
+     * @param {number} offset Position of the stop in [0, 1] range.
+     * @param {string} colour CSS colour of the stop.
+     */
+    addColorStop(offset, colour) {
+        this.stops.push({ offset, colour });
+    }
+}
+
+/**
+ * Drawing context which records the subset of the `CanvasRenderingContext2D` API that the animations use
+ * and turns it into SVG markup. It does not depend on the DOM, so it also works in Node.
+ * Paths are stored in canvas coordinates, i.e. with the current transformation applied.
+ * Text and images are not recorded.
+ */
+export class SvgContext {
+    /**
+     * @param {number} width Width of the drawing area in pixels.
+     * @param {number} height Height of the drawing area in pixels.
+     */
+    constructor(width, height) {
+        /**
+         * Stand-in for the canvas, which the animations read the size from.
+         */
+        this.canvas = { width, height };
+
+        /**
+         * Recorded SVG elements since the canvas was last cleared.
+         * @type {string[]}
+         */
+        this.elements = [];
+
+        /**
+         * Gradients and filters the elements refer to by key. Definitions are kept when the canvas is cleared,
+         * so multiple frames recorded with one context can share them.
+         * @type {Map<string, {id: string, markup: string}>}
+         */
+        this.definitions = new Map();
+
+        /**
+         * Current transformation `[a, b, c, d, e, f]` (see `setTransform`).
+         */
+        this.matrix = [1, 0, 0, 1, 0, 0];
+
+        /**
+         * Commands of the current path.
+         * @type {string[]}
+         */
+        this.path = [];
+
+        this.strokeStyle = "#000";
+        this.fillStyle = "#000";
+        this.lineWidth = 1;
+        this.lineCap = "butt";
+        this.lineJoin = "miter";
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = "source-over";
+        this.shadowBlur = 0;
+        this.shadowColor = "rgba(0, 0, 0, 0)";
+        this.lineDash = [];
+        this.states = [];
+        this.gradientCount = 0;
+    }
+
+    save() {
+        const state = { matrix: this.matrix.slice(), lineDash: this.lineDash.slice() };
+        for (const key of stateKeys) {
+            state[key] = this[key];
+        }
+        this.states.push(state);
+    }
+
+    restore() {
+        const state = this.states.pop();
+        if (state === undefined) {
+            return;
+        }
+        this.matrix = state.matrix;
+        this.lineDash = state.lineDash;
+        for (const key of stateKeys) {
+            this[key] = state[key];
+        }
+    }
+
+    /**
+     * Multiplies the current transformation with the given one.
+     */
+    transform(a, b, c, d, e, f) {
+        const [a0, b0, c0, d0, e0, f0] = this.matrix;
+        this.matrix = [
+            a0 * a + c0 * b, b0 * a + d0 * b,
+            a0 * c + c0 * d, b0 * c + d0 * d,
+            a0 * e + c0 * f + e0, b0 * e + d0 * f + f0,
+        ];
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+
+    /**
+     * Applies the current transformation to the given point.
+     * @returns {string} Coordinates for a path command.
+     */
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return `${format(a * x + c * y + e)} ${format(b * x + d * y + f)}`;
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${this.point(x, y)}`);
+    }
+
+    lineTo(x, y) {
+        this.path.push(`${this.path.length === 0 ? "M" : "L"}${this.point(x, y)}`);
+    }
+
+    closePath() {
+        if (this.path.length > 0) {
+            this.path.push("Z");
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    /**
+     * Adds a circular arc, approximated by line segments (so that it follows any transformation).
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (counterclockwise && sweep > 0) {
+            sweep -= 2 * Math.PI;
+        } else if (!counterclockwise && sweep < 0) {
+            sweep += 2 * Math.PI;
+        }
+        const steps = Math.max(Math.ceil(Math.abs(sweep) / (Math.PI / 16)), 1);
+        for (let step = 0; step <= steps; ++step) {
+            const angle = startAngle + sweep * step / steps;
+            this.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+        }
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgGradient(++this.gradientCount, x0, y0, x1, y1);
+    }
+
+    stroke() {
+        if (this.path.length === 0) {
+            return;
+        }
+        // Line widths and dashes grow with the transformation
+        const scale = Math.sqrt(Math.abs(this.matrix[0] * this.matrix[3] - this.matrix[1] * this.matrix[2]));
+        let attributes = `fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${format(this.lineWidth * scale)}"`;
+        if (this.lineCap !== "butt") {
+            attributes += ` stroke-linecap="${this.lineCap}"`;
+        }
+        if (this.lineJoin !== "miter") {
+            attributes += ` stroke-linejoin="${this.lineJoin}"`;
+        }
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(length => format(length * scale)).join(" ")}"`;
+        }
+        this.addPath(attributes);
+    }
+
+    fill() {
+        if (this.path.length === 0) {
+            return;
+        }
+        this.addPath(`fill="${this.paint(this.fillStyle)}"`);
+    }
+
+    fillRect(x, y, width, height) {
+        const path = this.path;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.path = path;
+    }
+
+    /**
+     * Clearing the whole canvas drops the recorded elements. Clearing a part of it is not supported.
+     */
+    clearRect(x, y, width, height) {
+        const [a, b, c, d, e, f] = this.matrix;
+        const identity = a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+        if (identity && x <= 0 && y <= 0 && x + width >= this.canvas.width && y + height >= this.canvas.height) {
+            this.elements = [];
+        }
+    }
+
+    fillText() { }
+
+    drawImage() { }
+
+    /**
+     * Records the current path with the given paint attributes and the shared state.
+     * @param {string} attributes Attributes of the path element.
+     */
+    addPath(attributes) {
+        if (this.globalAlpha < 1) {
+            attributes += ` opacity="${format(this.globalAlpha)}"`;
+        }
+        if (this.shadowBlur > 0) {
+            attributes += ` filter="url(#${this.define(`glow|${this.shadowBlur}|${this.shadowColor}`, id =>
+                `<filter id="${id}" filterUnits="userSpaceOnUse" x="0" y="0" width="${this.canvas.width}" height="${this.canvas.height}">` +
+                `<feDropShadow dx="0" dy="0" stdDeviation="${format(this.shadowBlur / 2)}" flood-color="${escapeAttribute(this.shadowColor)}"/>` +
+                "</filter>")})"`;
+        }
+        const blendMode = blendModes.get(this.globalCompositeOperation);
+        if (blendMode !== undefined) {
+            attributes += ` style="mix-blend-mode:${blendMode}"`;
+        }
+        this.elements.push(`<path d="${this.path.join("")}" ${attributes}/>`);
+    }
+
+    /**
+     * Turns a stroke or fill style into an SVG paint.
+     * @param {string | SvgGradient} style CSS colour or gradient.
+     * @returns {string}
+     */
+    paint(style) {
+        if (!(style instanceof SvgGradient)) {
+            return escapeAttribute(String(style));
+        }
+        // Gradients are positioned with the transformation at the time they are used
+        const matrix = this.matrix.map(format).join(" ");
+        const [x1, y1, x2, y2] = style.points.map(format);
+        const id = this.define(`gradient|${style.id}|${matrix}`, id =>
+            `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ` +
+            `gradientTransform="matrix(${matrix})">` +
+            style.stops.map(stop => `<stop offset="${format(stop.offset)}" stop-color="${escapeAttribute(stop.colour)}"/>`).join("") +
+            "</linearGradient>");
+        return `url(#${id})`;
+    }
+
+    /**
+     * Adds a definition unless there already is one with the given key.
+     * @param {string} key Key which identifies equal definitions.
+     * @param {(id: string) => string} create Creates the markup of the definition with the given id.
+     * @returns {string} Id of the definition.
+     */
+    define(key, create) {
+        let definition = this.definitions.get(key);
+        if (definition === undefined) {
+            const id = `d${this.definitions.size}`;
+            definition = { id, markup: create(id) };
+            this.definitions.set(key, definition);
+        }
+        return definition.id;
+    }
+
+    /**
+     * Creates an SVG document of the recorded elements.
+     * @param {object} [options] Document options.
+     * @param {number} [options.width] Width of the document (defaults to the width of the drawing area).
+     * @param {number} [options.height] Height of the document (defaults to the height of the drawing area).
+     * @param {string} [options.background] CSS colour the drawing is placed on (transparent if omitted).
+     * @param {string} [options.content] Markup to use instead of the recorded elements (e.g. multiple frames).
+     * @param {string} [options.style] CSS style sheet of the document.
+     * @returns {string}
+     */
+    toSvg({ width = this.canvas.width, height = this.canvas.height, background, content, style } = {}) {
+        const definitions = Array.from(this.definitions.values(), definition => definition.markup).join("");
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${this.canvas.width} ${this.canvas.height}">` +
+            (style ? `<style>${style}</style>` : "") +
+            (definitions ? `<defs>${definitions}</defs>` : "") +
+            (background ? `<rect width="100%" height="100%" fill="${escapeAttribute(background)}"/>` : "") +
+            // Blend modes only mix with the curves, not with what is behind the document
+            `<g style="isolation:isolate">${content === undefined ? this.elements.join("") : content}</g>` +
+            "</svg>";
+    }
+}
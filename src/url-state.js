@@ -0,0 +1,146 @@
+"use strict";
+
+import { configSchema, coerceConfigValue } from "./config.js";
+import { isBuiltInPalette, parsePaletteParam, paletteParamToString } from "./palettes.js";
+import { animationModes } from "./animation.js";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ * @typedef {import("./colour.js").Colour} Colour
+ */
+
+/**
+ * Parses the given query or hash string into parameters.
+ * The legacy hash `#sliding` is understood as `mode=sliding`.
+ * @param {string} text Query (`?a=1&b=2`) or hash (`#a=1&b=2`) string.
+ * @returns {URLSearchParams}
+ */
+function parseParams(text) {
+    const params = new URLSearchParams(text.replace(/^[?#]/, ""));
+    for (const mode of animationModes) {
+        if (params.has(mode) && params.get(mode) === "") {
+            params.delete(mode);
+            params.set("mode", mode);
+        }
+    }
+    return params;
+}
+
+/**
+ * Reads the state from the query and hash of the given location.
+ * Values in the hash take precedence over values in the query.
+ * Invalid values are ignored with a warning.
+ * @param {Location | URL} [location] Location to read from.
+ * @returns {{consts: Object<string, number | string>, palette?: string, mode?: string, seed?: number,
+ *     customPalettes?: Map<string, Colour[]>, playlist?: {modes: string[]}}} Options for `BezierCurves`.
+ */
+export function readUrlState(location = window.location) {
+    const state = { consts: {} };
+    for (const params of [parseParams(location.search), parseParams(location.hash)]) {
+        for (const [key, value] of params) {
+            if (configSchema[key] !== undefined) {
+                try {
+                    state.consts[key] = coerceConfigValue(key, value);
+                } catch (e) {
+                    console.warn(`Ignoring URL parameter ${key}: ${e.message}`);
+                }
+            } else if (key === "seed") {
+                const seed = Number(value);
+                if (Number.isInteger(seed) && seed >= 0) {
+                    state.seed = seed;
+                } else {
+                    console.warn(`Ignoring URL parameter seed: expects a non-negative integer, got "${value}"`);
+                }
+            } else if (key === "colours") {
+                try {
+                    state.customPalettes = parsePaletteParam(value);
+                } catch (e) {
+                    console.warn(`Ignoring URL parameter colours: ${e.message}`);
+                }
+            } else if (key === "palette") {
+                state.palette = value;
+            } else if (key === "mode") {
+                if (animationModes.includes(value)) {
+                    state.mode = value;
+                } else {
+                    console.warn(`Ignoring URL parameter mode: unknown mode "${value}"`);
+                }
+            } else if (key === "playlist") {
+                const modes = value.split(",");
+                const unknown = modes.filter(mode => !animationModes.includes(mode));
+                if (unknown.length === 0) {
+                    state.playlist = { modes };
+                } else {
+                    console.warn(`Ignoring URL parameter playlist: unknown modes "${unknown.join(", ")}"`);
+                }
+            }
+        }
+    }
+    return state;
+}
+
+/**
+ * Collects the state of the given instance as URL parameters.
+ * Configuration values that equal their defaults are left out to keep links short.
+ * @param {BezierCurves} background Instance to read the state from.
+ * @returns {URLSearchParams}
+ */
+export function getUrlParams(background) {
+    const params = new URLSearchParams();
+    params.set("mode", background.mode);
+    if (background.playlist !== null) {
+        params.set("playlist", background.playlist.modes.join(","));
+    }
+    params.set("palette", background.paletteName);
+    params.set("seed", background.seed.toString());
+    if (!isBuiltInPalette(background.paletteName)) {
+        // Custom palettes are not known to other browsers, so their colours are part of the link
+        params.set("colours", paletteParamToString(new Map([[background.paletteName, background.selectedColours]])));
+    }
+    const values = background.config.toJSON();
+    for (const key of Object.keys(values)) {
+        if (values[key] !== configSchema[key].default) {
+            params.set(key, values[key].toString());
+        }
+    }
+    return params;
+}
+
+/**
+ * Creates a link which reproduces the current look of the given instance.
+ * @param {BezierCurves} background Instance to read the state from.
+ * @param {Location | URL} [location] Location the link is based on.
+ * @returns {string}
+ */
+export function createShareLink(background, location = window.location) {
+    const url = new URL(location.href);
+    url.search = getUrlParams(background).toString();
+    url.hash = "";
+    return url.toString();
+}
+
+/**
+ * Keeps the query of the current page in sync with the state of the given instance.
+ * The history is not extended, the current entry is replaced instead.
+ * @param {BezierCurves} background Instance to observe.
+ * @param {(link: string) => void} [onUpdate] Called with the new link after every update.
+ * @returns {() => void} Function which stops the synchronisation.
+ */
+export function syncUrlState(background, onUpdate) {
+    function update() {
+        const link = createShareLink(background);
+        window.history.replaceState(window.history.state, "", link);
+        if (onUpdate) { onUpdate(link); }
+    }
+    update();
+    const removeConfigListener = background.config.on("change", update);
+    const removePaletteListener = background.on("palettechange", update);
+    const removePaletteListListener = background.on("palettelistchange", update);
+    const removeModeListener = background.on("modechange", update);
+    return () => {
+        removeConfigListener();
+        removePaletteListener();
+        removePaletteListListener();
+        removeModeListener();
+    };
+}
@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * @typedef {import("./bezier-curves.js").BezierCurves} BezierCurves
+ */
+
+/**
+ * Lets the given instance follow the motion preference of the user and suspends its rendering loop
+ * while the page is hidden or the canvas is scrolled out of view.
+ * Browser features that are not available are skipped.
+ * @param {BezierCurves} background Instance to observe.
+ * @returns {() => void} Function which stops the observation.
+ */
+export function observeVisibility(background) {
+    const cleanups = [];
+
+    if (typeof window.matchMedia === "function") {
+        const query = window.matchMedia("(prefers-reduced-motion: reduce)");
+        const onMotionPreferenceChanged = () => background.setReducedMotion(query.matches);
+        onMotionPreferenceChanged();
+        query.addEventListener("change", onMotionPreferenceChanged);
+        cleanups.push(() => query.removeEventListener("change", onMotionPreferenceChanged));
+    }
+
+    if (typeof document !== "undefined" && document.hidden !== undefined) {
+        const onVisibilityChanged = () => background.setSuspended("hidden", document.hidden);
+        onVisibilityChanged();
+        document.addEventListener("visibilitychange", onVisibilityChanged);
+        cleanups.push(() => document.removeEventListener("visibilitychange", onVisibilityChanged));
+    }
+
+    if (typeof IntersectionObserver !== "undefined") {
+        const observer = new IntersectionObserver(entries => {
+            // The last entry is the most recent state of the canvas
+            background.setSuspended("offscreen", !entries[entries.length - 1].isIntersecting);
+        });
+        observer.observe(background.canvas);
+        cleanups.push(() => observer.disconnect());
+    }
+
+    return () => cleanups.forEach(cleanup => cleanup());
+}